@@ -0,0 +1,79 @@
+'use strict'
+
+// Compares the previous synchronous file logging (exists + stat + two appendFileSync per line)
+// with the buffered FileTransport. Usage: npm run bench:logger [-- <lines>]
+
+require('module-alias/register')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { performance } = require('perf_hooks')
+const FileTransport = require('@core/transports/file.transport')
+
+const LINES = Number(process.argv[2]) || 20000
+const LINE = `2025-01-01 10:00:00.000 | INFO | HTTP | GET /api/users/42 200 1532b 12.4ms ${'x'.repeat(60)}`
+
+// the write path before buffering, kept verbatim as the baseline
+function syncWrite(dir, type, message) {
+    const file = path.join(dir, `${type}.log`)
+
+    if (fs.existsSync(file)) {
+        const stats = fs.statSync(file)
+        if (stats.size > 10 * 1024 * 1024) {
+            fs.renameSync(file, path.join(dir, `${type}.${Date.now()}.log`))
+        }
+    }
+
+    fs.appendFileSync(file, message + '\n', { flag: 'a' })
+}
+
+async function measure(name, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mini-logger-bench-'))
+    const start = performance.now()
+    const flushed = run(dir)
+    const blocked = performance.now() - start
+    await flushed
+    const total = performance.now() - start
+
+    fs.rmSync(dir, { recursive: true, force: true })
+
+    // "blocking" is the time the event loop could not serve anything else
+    return {
+        name,
+        'blocking (ms)': Number(blocked.toFixed(1)),
+        'blocking per line (µs)': Number(((blocked * 1000) / LINES).toFixed(2)),
+        'until on disk (ms)': Number(total.toFixed(1)),
+        'lines/s': Math.round(LINES / (total / 1000)),
+    }
+}
+
+async function main() {
+    const results = []
+
+    results.push(
+        await measure('sync (before)', (dir) => {
+            for (let i = 0; i < LINES; i++) {
+                syncWrite(dir, 'info', LINE)
+                syncWrite(dir, 'all', LINE)
+            }
+        }),
+    )
+
+    results.push(
+        await measure('buffered FileTransport', (dir) => {
+            const transport = new FileTransport({ dir })
+
+            for (let i = 0; i < LINES; i++) {
+                transport.write(LINE, { level: 'info' })
+            }
+
+            return transport.close()
+        }),
+    )
+
+    console.log(`${LINES} lines, each written to info.log and all.log (node ${process.version}, ${os.cpus().length} CPU)`)
+    console.table(results)
+}
+
+main()
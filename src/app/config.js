@@ -1,22 +1,44 @@
 'use strict'
 
 const path = require('path')
+const Config = require('@core/config.core')
+const env = Config.env
 
-module.exports = {
+module.exports = Config.load({
     app: {
-        production: false,
-        port: 3025,
-        url: 'http://localhost:3025',
-        name: 'Node Mini Framework',
-        timezone: 'UTC',
-        log_dir: 'logs',
+        env: Config.environment,
+        production: env('APP_PRODUCTION', Config.environment === 'production'),
+        port: env('APP_PORT', 3025),
+        url: env('APP_URL', 'http://localhost:3025'),
+        name: env('APP_NAME', 'Node Mini Framework'),
+        timezone: env('APP_TIMEZONE', 'UTC'),
+        log_dir: env('LOG_DIR', 'logs'),
+    },
+
+    logging: {
+        format: env('LOG_FORMAT', 'text'),
+        // minimum level, per layer overrides win over the global one, e.g. { sequelize: 'warning' }
+        level: env('LOG_LEVEL', 'debug'),
+        layers: {},
+        // noisy layers: keep a share of the entries ({ rate: 0.1 }) and/or at most `limit` entries per `interval` ms,
+        // warnings and errors are never dropped
+        sampling: {},
+        // keys (any depth), dotted key paths and key patterns masked in context and error objects
+        redact: {
+            keys: ['password', 'password_confirmation', 'token', 'access_token', 'refresh_token', 'secret', 'authorization', 'cookie', 'set-cookie', /api[-_]?key/i],
+            censor: '[REDACTED]',
+        },
+        transports: [
+            { type: 'console', level: env('LOG_CONSOLE_LEVEL', 'debug') },
+            { type: 'file', level: env('LOG_FILE_LEVEL', 'debug') },
+        ],
     },
 
     server: {
-        https: false,
+        https: env('SERVER_HTTPS', false),
         ssl: {
-            cert: path.join(__dirname, '/path/to/ssl.cert'),
-            key: path.join(__dirname, '/path/to/ssl.key'),
+            cert: path.resolve(env('SSL_CERT', path.join(__dirname, '/path/to/ssl.cert'))),
+            key: path.resolve(env('SSL_KEY', path.join(__dirname, '/path/to/ssl.key'))),
         },
         options: {
             poweredBy: false,
@@ -25,15 +47,106 @@ module.exports = {
             requestTimeout: 300000,
             headersTimeout: 60000,
         },
+        shutdown: {
+            timeout: env('SHUTDOWN_TIMEOUT', 10000),
+            signals: ['SIGTERM', 'SIGINT'],
+        },
+    },
+
+    cluster: {
+        enabled: env('CLUSTER_ENABLED', false),
+        workers: env('CLUSTER_WORKERS', 0),
+        respawn: env('CLUSTER_RESPAWN', true),
+    },
+
+    security: {
+        // false disables a header
+        headers: {
+            // only sent over HTTPS
+            hsts: { max_age: env('HSTS_MAX_AGE', 15552000), include_subdomains: true, preload: false },
+            // "'nonce'" is replaced by a per-response nonce, available to views as `cspNonce`
+            csp: {
+                report_only: env('CSP_REPORT_ONLY', false),
+                directives: {
+                    'default-src': ["'self'"],
+                    'script-src': ["'self'", "'nonce'"],
+                    'style-src': ["'self'", "'nonce'"],
+                    'img-src': ["'self'", 'data:'],
+                    'font-src': ["'self'"],
+                    'connect-src': ["'self'"],
+                    'object-src': ["'none'"],
+                    'base-uri': ["'self'"],
+                    'form-action': ["'self'"],
+                    'frame-ancestors': ["'none'"],
+                },
+            },
+            frame: 'DENY',
+            referrer: 'strict-origin-when-cross-origin',
+            extra: {
+                'Cross-Origin-Opener-Policy': 'same-origin',
+                'Cross-Origin-Resource-Policy': 'same-origin',
+            },
+        },
+        // unsafe requests carrying the session cookie must send a token, see Security.csrf()
+        csrf: {
+            enabled: env('CSRF_ENABLED', true),
+            cookie: 'csrf_secret',
+            field: '_csrf',
+            header: 'X-CSRF-Token',
+        },
+    },
+
+    // limiters used by RateLimit.middleware(name), socket namespaces and socket events,
+    // `window` in milliseconds, `burst` is the token-bucket capacity (defaults to `limit`)
+    rate_limit: {
+        enabled: env('RATE_LIMIT_ENABLED', true),
+        headers: true, // RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy
+        limiters: {
+            api: { algorithm: 'token-bucket', limit: env('RATE_LIMIT_API', 300), window: 60 * 1000, key: 'ip' },
+            login: { algorithm: 'fixed-window', limit: env('RATE_LIMIT_LOGIN', 5), window: 15 * 60 * 1000, key: 'ip', skip_successful: true, message: 'Too many login attempts, please try again later' },
+            handshake: { algorithm: 'token-bucket', limit: 30, window: 60 * 1000, burst: 10, key: 'ip' },
+            socket_event: { algorithm: 'token-bucket', limit: 60, window: 60 * 1000, burst: 20, key: 'user' },
+        },
+    },
+
+    // /health (liveness), /ready (readiness) and /metrics (Prometheus), an empty path disables the endpoint
+    monitoring: {
+        enabled: env('MONITORING_ENABLED', true),
+        paths: {
+            health: env('HEALTH_PATH', '/health'),
+            ready: env('READY_PATH', '/ready'),
+            metrics: env('METRICS_PATH', '/metrics'),
+        },
+        // endpoints listed here need the bearer token and/or a client address from `allow` (req.ip, see express.trustProxy),
+        // with neither of them only loopback clients
+        protect: ['metrics'],
+        token: env('MONITORING_TOKEN', ''),
+        allow: [],
+        timeout: env('READY_TIMEOUT', 2000), // per readiness check
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], // request latency, in seconds
+    },
+
+    // a failing boot phase stops the process (true) or is logged and skipped (false)
+    boot: {
+        fail_fast: {
+            hooks: true,
+            database: true,
+            http: true,
+            socket: true,
+            ready: true,
+        },
     },
 
     express: {
-        trustProxy: true,
+        // proxies in front of the app, whose X-Forwarded-For is believed for req.ip: a hop count (1 behind one
+        // load balancer), addresses or subnets ('loopback', '10.0.0.0/8') or true. None by default, clients could forge it
+        trustProxy: env('TRUST_PROXY', 0),
         cors: {
-            origin: (origin, callback) => callback(null, true),
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD', 'CONNECT', 'TRACE'],
-            allowedHeaders: ['X-Requested-With', 'X-Custom-Header', 'Content-Type', 'Authorization', 'Accept', 'Origin', 'Access-Control-Allow-Origin', 'Access-Control-Allow-Headers', 'Access-Control-Request-Method', 'Access-Control-Request-Headers'],
-            exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Custom-Header'],
+            // allowlist of scheme://host[:port], e.g. CORS_ORIGINS=https://app.example.com,https://admin.example.com
+            origin: env('CORS_ORIGINS', [env('APP_URL', 'http://localhost:3025')]),
+            methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'HEAD'],
+            allowedHeaders: ['X-Requested-With', 'Content-Type', 'Authorization', 'Accept', 'X-CSRF-Token', 'X-Request-Id'],
+            exposedHeaders: ['Content-Range', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
             credentials: true,
             maxAge: 86400,
             preflightContinue: false,
@@ -49,31 +162,78 @@ module.exports = {
             engine: 'ejs',
             path: path.join(__dirname, '../public/views'),
         },
+        errors: {
+            api_prefix: '/api',
+            views: 'errors',
+        },
+        // discovered at boot, see Routing.controllers
+        controllers: 'src/app/http/controllers',
+        request_id: {
+            header: 'X-Request-Id',
+            trust: env('TRUST_REQUEST_ID', true),
+        },
+        access_log: {
+            enabled: env('ACCESS_LOG', true),
+            format: env('ACCESS_LOG_FORMAT', 'combined'),
+            skip: [], // path prefixes (whole segments), regular expressions or (req, res) => boolean
+            skip_static: true,
+            slow_threshold: env('SLOW_REQUEST_THRESHOLD', 1000), // ms, 0 disables the warning
+        },
     },
 
     socket: {
+        adapter: env('SOCKET_ADAPTER', 'cluster'),
         options: {
-            cors: { origin: '*', methods: ['GET', 'POST'], credentials: true },
+            // also checked on WebSocket upgrades, which CORS does not cover
+            cors: { origin: env('CORS_ORIGINS', [env('APP_URL', 'http://localhost:3025')]), methods: ['GET', 'POST'], credentials: true },
             pingInterval: 25000,
             pingTimeout: 60000,
             maxHttpBufferSize: 1e6,
             transports: ['websocket'],
             allowUpgrades: false,
         },
+        presence: {
+            offline_delay: env('PRESENCE_OFFLINE_DELAY', 5000),
+        },
+    },
+
+    auth: {
+        secret: env('APP_KEY', ''),
+        guards: ['jwt', 'session'],
+        hashing: {
+            N: 16384,
+            r: 8,
+            p: 1,
+            keylen: 64,
+        },
+        jwt: {
+            issuer: env('APP_URL', 'http://localhost:3025'),
+            access_ttl: env('JWT_ACCESS_TTL', 900),
+            refresh_ttl: env('JWT_REFRESH_TTL', 1209600),
+        },
+        session: {
+            cookie: 'session_id',
+            ttl: env('SESSION_TTL', 7200),
+            secure: env('SESSION_SECURE', false),
+            same_site: 'lax',
+        },
     },
 
+    // the default connection, see `connections` below for more
     database: {
-        dialect: 'mysql',
-        host: 'localhost',
-        port: 3306,
-        database: 'database',
-        username: 'root',
-        password: '',
-        logging: false,
+        dialect: env('DB_DIALECT', 'mysql'),
+        host: env('DB_HOST', 'localhost'),
+        port: env('DB_PORT', 3306),
+        database: env('DB_DATABASE', 'database'),
+        username: env('DB_USERNAME', 'root'),
+        password: env('DB_PASSWORD', ''),
+        // sqlite only: a file path or ':memory:'
+        storage: env('DB_STORAGE', ':memory:'),
+        logging: env('DB_LOGGING', false),
         timezone: '+00:00',
         pool: {
-            max: 5,
-            min: 0,
+            max: env('DB_POOL_MAX', 5),
+            min: env('DB_POOL_MIN', 0),
             acquire: 30000,
             idle: 10000,
         },
@@ -82,8 +242,51 @@ module.exports = {
             underscored: true,
             freezeTableName: true,
         },
-        sync: true,
-        force: false,
-        alter: false,
+        // Connect retries with exponential backoff: delay * 2^attempt capped at max_delay, minus up to `jitter` of it.
+        // When they run out, on_failure 'fail' fails the database boot phase (see boot.fail_fast) while 'degraded'
+        // starts without the database and keeps reconnecting, routes can answer 503 meanwhile (see Database.middleware).
+        // Connections are pinged every check_interval ms (0 disables it) to notice one lost at runtime.
+        connect: {
+            retries: env('DB_CONNECT_RETRIES', 5),
+            delay: 500,
+            max_delay: 30000,
+            jitter: 0.2,
+            on_failure: env('DB_ON_FAILURE', 'fail'),
+            check_interval: env('DB_CHECK_INTERVAL', 10000),
+        },
+        // read replicas, e.g. DB_READ_HOSTS=replica-1,replica-2: reads are spread over them, writes go to `host`.
+        // Entries may also be { host, port, username, password }, unset options are taken from this connection.
+        replication: {
+            read: env('DB_READ_HOSTS', []),
+        },
+        models: 'src/app/models',
+        // page[size] of Repository.paginate() when the request does not set it, and its largest accepted value
+        pagination: {
+            size: env('PAGE_SIZE', 20),
+            max_size: env('PAGE_MAX_SIZE', 100),
+        },
+        sync: env('DB_SYNC', false),
+        force: env('DB_FORCE', false),
+        alter: env('DB_ALTER', false),
+        migrations: {
+            dir: 'src/app/database/migrations',
+            table: 'migrations',
+            pending: env('DB_PENDING_MIGRATIONS', 'warn'),
+        },
+        // named connections, each with its own dialect, credentials, replication, models and migrations.
+        // `models` is a directory, or model files of the default directory (['report'] for report.model.js).
+        // `logging`, `timezone`, `pool`, `define` and `connect` are taken from the default connection unless set.
+        connections: {
+            // reporting: {
+            //     dialect: 'postgres',
+            //     host: env('REPORTING_DB_HOST', 'localhost'),
+            //     port: 5432,
+            //     database: 'reporting',
+            //     username: env('REPORTING_DB_USERNAME', 'postgres'),
+            //     password: env('REPORTING_DB_PASSWORD', ''),
+            //     models: 'src/app/models/reporting',
+            //     migrations: { dir: 'src/app/database/migrations/reporting' },
+            // },
+        },
     },
-}
+})
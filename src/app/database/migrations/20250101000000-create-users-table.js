@@ -0,0 +1,55 @@
+'use strict'
+
+module.exports = {
+    async up({ queryInterface, DataTypes, transaction }) {
+        await queryInterface.createTable(
+            'users',
+            {
+                id: {
+                    type: DataTypes.INTEGER,
+                    primaryKey: true,
+                    autoIncrement: true,
+                },
+                username: {
+                    type: DataTypes.STRING(50),
+                    allowNull: false,
+                    unique: true,
+                },
+                email: {
+                    type: DataTypes.STRING(100),
+                    allowNull: false,
+                    unique: true,
+                },
+                password: {
+                    type: DataTypes.STRING(255),
+                    allowNull: false,
+                },
+                full_name: {
+                    type: DataTypes.STRING(100),
+                    allowNull: true,
+                },
+                is_active: {
+                    type: DataTypes.BOOLEAN,
+                    defaultValue: true,
+                },
+                last_login: {
+                    type: DataTypes.DATE,
+                    allowNull: true,
+                },
+                created_at: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                },
+                updated_at: {
+                    type: DataTypes.DATE,
+                    allowNull: false,
+                },
+            },
+            { transaction },
+        )
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('users', { transaction })
+    },
+}
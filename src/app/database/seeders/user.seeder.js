@@ -0,0 +1,24 @@
+'use strict'
+
+const config = require('@app/config')
+
+module.exports = {
+    async run({ models, transaction }) {
+        // the well-known default password is for development machines only
+        const password = process.env.ADMIN_PASSWORD || (config.app.production ? null : 'password')
+
+        if (!password) {
+            throw new Error('ADMIN_PASSWORD is not set, refusing to seed the admin account with a default password in production')
+        }
+
+        await models.User.findOrCreate({
+            where: { username: 'admin' },
+            defaults: {
+                email: 'admin@example.com',
+                password,
+                full_name: 'Administrator',
+            },
+            transaction,
+        })
+    },
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = (env) => ({
+    logging: {
+        level: env('LOG_LEVEL', 'info'),
+    },
+    database: {
+        sync: env('DB_SYNC', false),
+        force: env('DB_FORCE', false),
+        alter: env('DB_ALTER', false),
+        migrations: {
+            pending: env('DB_PENDING_MIGRATIONS', 'refuse'),
+        },
+    },
+})
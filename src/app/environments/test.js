@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = (env) => ({
+    app: {
+        log_dir: env('LOG_DIR', 'logs/test'),
+    },
+    // captured by the test harness, see Testing.logs
+    logging: {
+        transports: [{ type: 'memory' }],
+    },
+    database: {
+        database: env('DB_DATABASE', 'database_test'),
+        logging: env('DB_LOGGING', false),
+    },
+})
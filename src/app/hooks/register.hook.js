@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = class Hook {
+    static register(lifecycle) {
+        // lifecycle.onBoot('name', async () => {})
+        // lifecycle.onReady('name', async () => {})
+        // lifecycle.onShutdown('name', async ({ reason, timeout }) => {})
+    }
+}
@@ -0,0 +1,49 @@
+'use strict'
+
+const Auth = require('@core/auth.core')
+const Controller = require('@core/controller.core')
+const { UnauthorizedException } = require('@core/exception.core')
+const UserResource = require('@app/http/resources/user.resource')
+
+module.exports = class AuthController extends Controller {
+    static async login({ req, res }) {
+        const user = await Auth.attempt(req.body.login, req.body.password)
+
+        if (!user) {
+            throw new UnauthorizedException('Invalid credentials')
+        }
+
+        const tokens = await Auth.login(user, res)
+
+        // the request is not authenticated yet, the user still sees their own private fields
+        return Controller.ok(res, { user: UserResource.make(user, req, { viewer: user }), ...tokens })
+    }
+
+    static async refresh({ req, res }) {
+        const tokens = await Auth.refresh(req.body.refresh_token)
+
+        return Controller.ok(res, tokens)
+    }
+
+    static async logout({ req, res }) {
+        if (req.body.refresh_token) {
+            await Auth.revokeRefreshToken(req.body.refresh_token)
+        }
+
+        await Auth.logout(req, res)
+
+        return res.json({
+            success: true,
+            message: 'Logged out',
+        })
+    }
+
+    static async me({ req, res }) {
+        return Controller.ok(res, UserResource.make(req.user, req))
+    }
+
+    // browser clients using the session cookie send it back in the X-CSRF-Token header
+    static async csrf({ req, res }) {
+        return Controller.ok(res, { token: req.csrfToken?.() ?? null })
+    }
+}
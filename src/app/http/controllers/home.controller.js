@@ -0,0 +1,9 @@
+'use strict'
+
+const Controller = require('@core/controller.core')
+
+module.exports = class HomeController extends Controller {
+    static async index({ res }) {
+        return res.send('Hello World')
+    }
+}
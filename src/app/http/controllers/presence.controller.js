@@ -0,0 +1,17 @@
+'use strict'
+
+const Controller = require('@core/controller.core')
+const Presence = require('@core/presence.core')
+
+module.exports = class PresenceController extends Controller {
+    static async index({ req, res }) {
+        return Controller.ok(res, await Presence.list())
+    }
+
+    static async show({ req, res }) {
+        return Controller.ok(res, {
+            user_id: req.params.id,
+            online: await Presence.isOnline(req.params.id),
+        })
+    }
+}
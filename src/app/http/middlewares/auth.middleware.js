@@ -0,0 +1,11 @@
+'use strict'
+
+const Auth = require('@core/auth.core')
+
+module.exports = class AuthMiddleware {
+    // rejects the request with 401 unless a valid bearer token or session cookie is present
+    static authenticate = Auth.authenticate()
+
+    // resolves req.user when credentials are present, without rejecting guests
+    static optional = Auth.authenticate({ optional: true })
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+const Database = require('@core/database.core')
+
+module.exports = class DatabaseMiddleware {
+    // answers 503 with Retry-After while the default connection is reconnecting, see config.database.connect
+    static available = Database.middleware()
+}
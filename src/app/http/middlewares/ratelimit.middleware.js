@@ -0,0 +1,11 @@
+'use strict'
+
+const RateLimit = require('@core/ratelimit.core')
+
+module.exports = class RateLimitMiddleware {
+    // limiters are declared in config.rate_limit.limiters
+    static api = RateLimit.middleware('api')
+
+    // failed attempts only, per client address
+    static login = RateLimit.middleware('login')
+}
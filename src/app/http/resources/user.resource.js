@@ -0,0 +1,18 @@
+'use strict'
+
+const Resource = require('@core/resource.core')
+
+module.exports = class UserResource extends Resource {
+    static toJSON(user, { viewer }) {
+        const self = viewer?.id === user.id
+
+        return {
+            id: user.id,
+            username: user.username,
+            // private to the user
+            email: Resource.when(self, user.email),
+            full_name: user.full_name,
+            last_login: Resource.when(self, user.last_login),
+        }
+    }
+}
@@ -0,0 +1,18 @@
+'use strict'
+
+const { z } = require('zod')
+
+module.exports = class AuthValidator {
+    static login = z.object({
+        login: z.string().trim().min(1),
+        password: z.string().min(1),
+    })
+
+    static refresh = z.object({
+        refresh_token: z.string().min(1),
+    })
+
+    static logout = z.object({
+        refresh_token: z.string().min(1).optional(),
+    })
+}
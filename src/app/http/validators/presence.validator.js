@@ -0,0 +1,9 @@
+'use strict'
+
+const { z } = require('zod')
+
+module.exports = class PresenceValidator {
+    static show = z.object({
+        id: z.coerce.number().int().positive(),
+    })
+}
@@ -1,5 +1,7 @@
 'use strict'
 
+const Auth = require('@core/auth.core')
+
 module.exports = (sequelize, DataTypes) => {
     const User = sequelize.define(
         'User',
@@ -43,9 +45,37 @@ module.exports = (sequelize, DataTypes) => {
             tableName: 'users',
             timestamps: true,
             underscored: true,
+            hooks: {
+                beforeSave: async (user) => {
+                    if (user.changed('password') && !Auth.isHash(user.password)) {
+                        user.password = await Auth.hash(user.password)
+                    }
+                },
+            },
         },
     )
 
+    // left out of toJSON(), so returning a User never exposes the hash
+    User.hidden = ['password']
+
+    User.prototype.verifyPassword = function (password) {
+        return Auth.verify(password, this.password)
+    }
+
+    // what clients may filter and sort on through a repository, see Repository.paginate
+    User.queryable = {
+        filterable: {
+            username: ['eq', 'in', 'like'],
+            email: ['eq', 'like'],
+            full_name: ['like', 'null'],
+            is_active: ['eq'],
+            createdAt: ['gte', 'lte'],
+            last_login: ['gte', 'lte', 'null'],
+        },
+        sortable: ['id', 'username', 'createdAt'],
+        sort: '-created_at',
+    }
+
     // Associations
     User.associate = (models) => {
         // Example: User.hasMany(models.Post, { foreignKey: 'user_id' })
@@ -0,0 +1,8 @@
+'use strict'
+
+const Repository = require('@core/repository.core')
+
+// filters and sorts are declared by the model, see User.queryable
+module.exports = class UserRepository extends Repository {
+    static model = 'User'
+}
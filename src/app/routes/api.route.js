@@ -1,7 +1,44 @@
 'use strict'
 
 const route = require('@refkinscallv/express-routing')
+const Validator = require('@core/validator.core')
+const { AuthController, PresenceController } = require('@core/routing.core').controllers
+const AuthMiddleware = require('@app/http/middlewares/auth.middleware')
+const AuthValidator = require('@app/http/validators/auth.validator')
+const DatabaseMiddleware = require('@app/http/middlewares/database.middleware')
+const PresenceValidator = require('@app/http/validators/presence.validator')
+const RateLimitMiddleware = require('@app/http/middlewares/ratelimit.middleware')
 
-route.group('api', () => {
-    //
+route.middleware([RateLimitMiddleware.api], () => {
+    route.group('api', () => {
+        route.group('auth', () => {
+            route.middleware([DatabaseMiddleware.available], () => {
+                route.middleware([RateLimitMiddleware.login, Validator.validate({ body: AuthValidator.login })], () => {
+                    route.post('login', AuthController.login)
+                })
+
+                route.middleware([Validator.validate({ body: AuthValidator.refresh })], () => {
+                    route.post('refresh', AuthController.refresh)
+                })
+
+                route.middleware([AuthMiddleware.authenticate], () => {
+                    route.middleware([Validator.validate({ body: AuthValidator.logout })], () => {
+                        route.post('logout', AuthController.logout)
+                    })
+
+                    route.get('me', AuthController.me)
+                })
+            })
+
+            route.get('csrf', AuthController.csrf)
+        })
+
+        route.middleware([DatabaseMiddleware.available, AuthMiddleware.authenticate], () => {
+            route.get('presence', PresenceController.index)
+
+            route.middleware([Validator.validate({ params: PresenceValidator.show })], () => {
+                route.get('presence/:id', PresenceController.show)
+            })
+        })
+    })
 })
@@ -1,7 +1,6 @@
 'use strict'
 
 const route = require('@refkinscallv/express-routing')
+const { HomeController } = require('@core/routing.core').controllers
 
-route.get('', ({ res }) => {
-    res.send('Hello World')
-})
+route.get('', HomeController.index)
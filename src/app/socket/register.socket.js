@@ -1,19 +1,31 @@
-const Socket = require('@core/socket.core')
+'use strict'
 
-const nsp = Socket.io.of('/user-status')
+const { z } = require('zod')
+const Presence = require('@core/presence.core')
+const Socket = require('@core/socket.core')
 
-nsp.on('connection', (socket) => {
-    const token = socket.handshake.query?.token || socket.handshake.auth?.token
-    if (!token) return socket.disconnect(true)
+Socket.namespace('/user-status', {
+    auth: true,
+    rateLimit: 'handshake',
 
-    socket.join(`user-${token}`)
-    nsp.emit('online_offline', { token, status: true })
+    async connection(socket) {
+        socket.join(`user-${socket.data.user.id}`)
 
-    socket.on('disconnect', (reason) => {
-        nsp.emit('online_offline', { token, status: false })
-    })
+        await Presence.track(socket)
+        socket.emit('online_list', await Presence.list())
+    },
 
-    socket.on('online_offline', (data) => {
-        nsp.emit('chat:online_offline', data)
-    })
+    events: {
+        online_offline: {
+            rateLimit: 'socket_event',
+            schema: z.object({ status: z.boolean() }),
+            handler(payload, socket) {
+                socket.nsp.emit('chat:online_offline', { user_id: socket.data.user.id, status: payload.status })
+            },
+        },
+    },
 })
+
+// presence only reports real transitions: the first connection of a user and the last one closing
+Presence.on('online', (userId) => Socket.io.of('/user-status').emit('online_offline', { user_id: userId, status: true }))
+Presence.on('offline', (userId) => Socket.io.of('/user-status').emit('online_offline', { user_id: userId, status: false }))
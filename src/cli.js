@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+'use strict'
+
+require('module-alias/register')
+require('@core/runtime.core').set()
+require('@core/console.core').run(process.argv.slice(2))
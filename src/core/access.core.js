@@ -0,0 +1,96 @@
+'use strict'
+
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// HTTP access log, written through Logger with the "access" level (access.log for file transports)
+module.exports = class AccessLog {
+    static formats = {
+        common: (fields) => `${fields.ip ?? '-'} - ${fields.user_id ?? '-'} [${AccessLog.date(fields.date)}] "${fields.method} ${fields.url} HTTP/${fields.http_version}" ${fields.status ?? '-'} ${fields.size ?? '-'}`,
+        combined: (fields) => `${AccessLog.formats.common(fields)} "${fields.referrer ?? '-'}" "${fields.user_agent ?? '-'}"`,
+        json: ({ date, ...fields }) => JSON.stringify({ timestamp: date.toISOString(), ...fields }),
+    }
+
+    static middleware() {
+        return (req, res, next) => {
+            if (this.skip(req, res)) return next()
+
+            const start = process.hrtime.bigint()
+            const date = new Date()
+            let done = false
+
+            // "close" without "finish" means the client went away before the response was sent
+            const log = () => {
+                if (done) return
+                done = true
+
+                this.record(req, res, date, Number(process.hrtime.bigint() - start) / 1e6)
+            }
+
+            res.once('finish', log)
+            res.once('close', log)
+            next()
+        }
+    }
+
+    static skip(req, res) {
+        const { skip, skip_static } = config.express.access_log
+
+        if (skip_static && config.express.static.status && this.#within(req.path, config.express.static.alias)) return true
+
+        return skip.some((rule) => {
+            if (typeof rule === 'function') return rule(req, res)
+            if (rule instanceof RegExp) return rule.test(req.path)
+            return this.#within(req.path, rule)
+        })
+    }
+
+    // whole segments only: /static covers /static/app.css, not /statistics
+    static #within(path, prefix) {
+        const base = prefix.replace(/\/+$/, '')
+        return path === base || path.startsWith(`${base}/`)
+    }
+
+    static fields(req, res, date, duration) {
+        const length = res.getHeader('content-length')
+
+        return {
+            date,
+            request_id: req.id ?? null,
+            method: req.method,
+            url: req.originalUrl,
+            http_version: req.httpVersion,
+            status: res.headersSent ? res.statusCode : null,
+            size: length === undefined ? null : Number(length),
+            duration_ms: Number(duration.toFixed(1)),
+            ip: req.ip ?? null, // honors the "trust proxy" setting
+            user_id: req.user?.id ?? null,
+            referrer: req.get('referer') ?? null,
+            user_agent: req.get('user-agent') ?? null,
+        }
+    }
+
+    static record(req, res, date, duration) {
+        const { format, slow_threshold } = config.express.access_log
+        const fields = this.fields(req, res, date, duration)
+
+        Logger.access('http', this.formats[format](fields), { context: fields })
+
+        if (slow_threshold > 0 && duration > slow_threshold) {
+            Logger.warning('http', `slow request: ${req.method} ${req.originalUrl} took ${fields.duration_ms}ms (threshold ${slow_threshold}ms)`, {
+                context: { request_id: fields.request_id, status: fields.status },
+            })
+        }
+    }
+
+    // common log format date, e.g. 10/Oct/2025:13:55:36 +0000
+    static date(date) {
+        const pad = (n) => String(n).padStart(2, '0')
+        const offset = -date.getTimezoneOffset()
+        const zone = `${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`
+
+        return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}:${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`
+    }
+}
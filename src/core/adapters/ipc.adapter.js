@@ -0,0 +1,54 @@
+'use strict'
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter')
+
+// Socket.IO adapter for cluster workers. Messages are sent to the primary process over IPC,
+// which relays them to every other worker (see Cluster), so broadcasts reach all clients.
+module.exports = class IpcAdapter extends ClusterAdapterWithHeartbeat {
+    static #adapters = new Set()
+
+    // Socket.IO instantiates adapters with "new", so this cannot be an arrow function
+    static create(options = {}) {
+        return function (nsp) {
+            return new IpcAdapter(nsp, options)
+        }
+    }
+
+    // called by the worker for every relayed message
+    static dispatch(message) {
+        for (const adapter of this.#adapters) {
+            if (message.type === 'socket.io:message' && message.payload.nsp === adapter.nsp.name) {
+                adapter.onMessage(message.payload)
+            }
+
+            if (message.type === 'socket.io:response' && message.requester === adapter.uid) {
+                adapter.onResponse(message.payload)
+            }
+        }
+    }
+
+    constructor(nsp, options) {
+        super(nsp, options)
+        IpcAdapter.#adapters.add(this)
+    }
+
+    async doPublish(message) {
+        this.#send({ type: 'socket.io:message', payload: message })
+
+        // offsets are only used for connection state recovery, which needs a persistent broker
+        return ''
+    }
+
+    async doPublishResponse(requester, response) {
+        this.#send({ type: 'socket.io:response', requester, payload: response })
+    }
+
+    close() {
+        super.close()
+        IpcAdapter.#adapters.delete(this)
+    }
+
+    #send(message) {
+        if (process.connected) process.send(message)
+    }
+}
@@ -0,0 +1,242 @@
+'use strict'
+
+const crypto = require('crypto')
+const util = require('util')
+const { Op } = require('sequelize')
+const Context = require('@core/context.core')
+const Database = require('@core/database.core')
+const Logger = require('@core/logger.core')
+const Store = require('@core/store.core')
+const Token = require('@core/token.core')
+const { UnauthorizedException } = require('@core/exception.core')
+const config = require('@app/config')
+
+const scrypt = util.promisify(crypto.scrypt)
+
+module.exports = class Auth {
+    static store = new Store()
+    static #secret = null
+    static #dummy = null
+
+    static useStore(store) {
+        this.store = store
+    }
+
+    static secret() {
+        if (config.auth.secret) return config.auth.secret
+
+        if (!this.#secret) {
+            this.#secret = crypto.randomBytes(32).toString('hex')
+            Logger.warning('auth', 'APP_KEY is not set, using a random key: tokens and sessions will not survive a restart')
+        }
+
+        return this.#secret
+    }
+
+    // --- passwords ---
+    // stored as scrypt$<N>$<r>$<p>$<salt>$<hash>
+    static async hash(password) {
+        const { N, r, p, keylen } = config.auth.hashing
+        const salt = crypto.randomBytes(16)
+        const hash = await scrypt(password, salt, keylen, { N, r, p })
+
+        return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$')
+    }
+
+    static async verify(password, stored) {
+        if (!this.isHash(stored)) return false
+
+        const [, N, r, p, salt, expected] = stored.split('$')
+        const expectedBuffer = Buffer.from(expected, 'base64')
+        const hash = await scrypt(String(password), Buffer.from(salt, 'base64'), expectedBuffer.length, { N: Number(N), r: Number(r), p: Number(p) })
+
+        return crypto.timingSafeEqual(hash, expectedBuffer)
+    }
+
+    static isHash(value) {
+        return typeof value === 'string' && /^scrypt\$\d+\$\d+\$\d+\$[^$]+\$[^$]+$/.test(value)
+    }
+
+    // --- login flow ---
+    static async attempt(login, password) {
+        const User = Database.getModel('User')
+        const user = await User.findOne({ where: { [Op.or]: [{ username: login }, { email: login }] } })
+
+        // hash anyway so unknown accounts take as long as wrong passwords
+        const valid = await this.verify(password, user?.password ?? (await this.#dummyHash()))
+
+        if (!user || !valid || !user.is_active) return null
+        return user
+    }
+
+    static async login(user, res) {
+        await user.update({ last_login: new Date() })
+
+        const tokens = await this.issueTokens(user)
+
+        if (res && config.auth.guards.includes('session')) {
+            await this.startSession(user, res)
+        }
+
+        Logger.info('auth', `user ${user.id} logged in`)
+        return tokens
+    }
+
+    static async logout(req, res) {
+        if (req.auth?.claims) {
+            await this.revoke(req.auth.claims)
+        }
+
+        if (req.auth?.session) {
+            await this.store.delete(`session:${req.auth.session}`)
+        }
+
+        if (res) {
+            res.clearCookie(config.auth.session.cookie, this.#cookieOptions())
+        }
+    }
+
+    static async issueTokens(user) {
+        const { access_ttl, refresh_ttl } = config.auth.jwt
+        const refreshId = crypto.randomUUID()
+        const options = { issuer: config.auth.jwt.issuer }
+
+        await this.store.set(`refresh:${refreshId}`, user.id, refresh_ttl * 1000)
+
+        return {
+            token_type: 'Bearer',
+            access_token: Token.sign({ sub: user.id, type: 'access' }, this.secret(), { ...options, expiresIn: access_ttl }),
+            refresh_token: Token.sign({ sub: user.id, type: 'refresh', jti: refreshId }, this.secret(), { ...options, expiresIn: refresh_ttl }),
+            expires_in: access_ttl,
+        }
+    }
+
+    // refresh tokens are single use: each refresh revokes the old one and issues a new pair,
+    // taking it from the store in one step so that concurrent refreshes cannot both succeed
+    static async refresh(refreshToken) {
+        const claims = this.#verify(refreshToken, 'refresh')
+        const userId = claims && (await this.store.take(`refresh:${claims.jti}`))
+
+        if (!userId) {
+            throw new UnauthorizedException('Invalid refresh token')
+        }
+
+        const user = await Database.getModel('User').findByPk(userId)
+        if (!user || !user.is_active) {
+            throw new UnauthorizedException('Invalid refresh token')
+        }
+
+        return this.issueTokens(user)
+    }
+
+    static async revoke(claims) {
+        if (claims.type === 'refresh') {
+            return this.store.delete(`refresh:${claims.jti}`)
+        }
+
+        const ttl = claims.exp ? claims.exp * 1000 - Date.now() : config.auth.jwt.access_ttl * 1000
+        if (ttl > 0) await this.store.set(`revoked:${claims.jti}`, true, ttl)
+    }
+
+    static async revokeRefreshToken(refreshToken) {
+        const claims = this.#verify(refreshToken, 'refresh')
+        if (claims) await this.revoke(claims)
+    }
+
+    // --- sessions ---
+    static async startSession(user, res) {
+        const id = crypto.randomBytes(32).toString('base64url')
+
+        await this.store.set(`session:${id}`, { user_id: user.id }, config.auth.session.ttl * 1000)
+        res.cookie(config.auth.session.cookie, id, { ...this.#cookieOptions(), maxAge: config.auth.session.ttl * 1000 })
+
+        return id
+    }
+
+    // --- resolving the current user (shared by HTTP and sockets) ---
+    static async resolveToken(token) {
+        const claims = this.#verify(token, 'access')
+        if (!claims || (await this.store.get(`revoked:${claims.jti}`))) return null
+
+        const user = await this.#activeUser(claims.sub)
+        return user ? { user, guard: 'jwt', claims } : null
+    }
+
+    static async resolveSession(sessionId) {
+        if (!sessionId) return null
+
+        const session = await this.store.get(`session:${sessionId}`)
+        if (!session) return null
+
+        const user = await this.#activeUser(session.user_id)
+        if (!user) return null
+
+        // sliding expiration
+        await this.store.set(`session:${sessionId}`, session, config.auth.session.ttl * 1000)
+
+        return { user, guard: 'session', session: sessionId }
+    }
+
+    static async resolve(req) {
+        const guards = config.auth.guards
+        const header = req.get?.('authorization') ?? req.headers?.authorization ?? ''
+        const [scheme, token] = header.split(' ')
+
+        if (guards.includes('jwt') && scheme?.toLowerCase() === 'bearer' && token) {
+            return this.resolveToken(token)
+        }
+
+        if (guards.includes('session')) {
+            return this.resolveSession(req.signedCookies?.[config.auth.session.cookie])
+        }
+
+        return null
+    }
+
+    static authenticate({ optional = false } = {}) {
+        const middleware = async (req, res, next) => {
+            try {
+                const auth = await Auth.resolve(req)
+
+                if (!auth && !optional) {
+                    return next(new UnauthorizedException('Unauthenticated'))
+                }
+
+                req.user = auth?.user ?? null
+                req.auth = auth
+
+                if (auth) Context.set('userId', auth.user.id)
+                next()
+            } catch (err) {
+                next(err)
+            }
+        }
+
+        Object.defineProperty(middleware, 'name', { value: optional ? 'auth:optional' : 'auth' })
+        return middleware
+    }
+
+    static #verify(token, type) {
+        try {
+            return Token.verify(token, this.secret(), { type, issuer: config.auth.jwt.issuer })
+        } catch (err) {
+            Logger.debug('auth', `rejected ${type} token: ${err.message}`)
+            return null
+        }
+    }
+
+    static async #activeUser(id) {
+        const user = await Database.getModel('User').findByPk(id)
+        return user && user.is_active ? user : null
+    }
+
+    static #cookieOptions() {
+        const { secure, same_site } = config.auth.session
+        return { httpOnly: true, signed: true, secure, sameSite: same_site, path: '/' }
+    }
+
+    static async #dummyHash() {
+        this.#dummy ??= await this.hash(crypto.randomBytes(16).toString('hex'))
+        return this.#dummy
+    }
+}
@@ -1,20 +1,157 @@
 'use strict'
 
+const Cluster = require('@core/cluster.core')
+const Config = require('@core/config.core')
+const Lifecycle = require('@core/lifecycle.core')
 const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+class BootError extends Error {
+    constructor(phase, cause) {
+        super(`${phase} phase failed: ${cause?.message ?? cause}`, { cause })
+        this.name = 'BootError'
+        this.phase = phase
+    }
+}
 
 module.exports = class Boot {
+    static BootError = BootError
+
     static async run() {
         try {
-            Logger.info('boot', 'booting server')
+            Config.validate()
+        } catch (err) {
+            // straight to stderr: the logging settings may be what is invalid
+            process.stderr.write(`${err.message}\n`)
+            Logger.error('config', err, { skip: ['console'] })
+            process.exitCode = Lifecycle.EXIT_CODES.config
+            return
+        }
+
+        Lifecycle.listen()
+        this.coreHooks()
+
+        if (Cluster.isPrimary) return this.#primary()
+        if (Cluster.isWorker) Cluster.join()
+
+        try {
+            Logger.info('boot', `booting server (${Config.environment})`)
+
+            await this.#phase('hooks', () => {
+                require('@app/hooks/register.hook').register(Lifecycle)
+                return Lifecycle.boot()
+            })
+
+            if (await this.#phase('database', () => require('@core/database.core').init())) {
+                if (!(await this.#checkMigrations())) return
+            }
+
+            await this.#phase('http', () => {
+                require('@core/express.core').init()
+                require('@core/server.core').init()
+                return require('@core/server.core').ready()
+            })
+
+            await this.#phase('socket', () => {
+                require('@core/socket.core').init()
+                require('@app/socket/register.socket')
+                require('@core/presence.core').init()
+            })
+
+            await this.#phase('ready', () => Lifecycle.ready())
+
+            if (Cluster.isWorker) Cluster.ready()
+        } catch (err) {
+            const failure = err instanceof BootError ? err : new BootError('boot', err)
+
+            Logger.error('boot', failure.cause, { context: { phase: failure.phase } })
+            process.exitCode = Lifecycle.EXIT_CODES.failure
+            await Lifecycle.terminate(`${failure.phase} phase failed`)
+        }
+    }
+
+    // config.boot.fail_fast decides whether a failing phase stops the boot, resolves to false when one was skipped
+    static async #phase(name, callback) {
+        try {
+            await callback()
+            return true
+        } catch (err) {
+            if (config.boot.fail_fast[name] !== false) throw new BootError(name, err)
+
+            Logger.error('boot', err, { context: { phase: name } })
+            Logger.warning('boot', `${name} phase failed, continuing without it`)
+            return false
+        }
+    }
 
-            await require('@core/database.core').init()
+    // the primary only forks and supervises workers, the application itself boots in each worker
+    static async #primary() {
+        Lifecycle.onShutdown('cluster', ({ timeout }) => Cluster.close(timeout), 0)
 
-            require('@core/express.core').init()
-            require('@core/server.core').init()
-            require('@core/socket.core').init()
-            require('@app/socket/register.socket')
+        try {
+            Logger.info('boot', `booting cluster primary (${Config.environment})`)
+
+            await Lifecycle.boot()
+            await Cluster.start()
+            await Lifecycle.ready()
         } catch (err) {
-            Logger.set(err, 'boot')
+            Logger.error('boot', err)
+            process.exitCode = Lifecycle.EXIT_CODES.failure
+            await Lifecycle.terminate('cluster failed to start')
         }
     }
+
+    static async #checkMigrations() {
+        const policy = config.database.migrations.pending
+        if (policy === 'ignore') return true
+
+        const Database = require('@core/database.core')
+        const Migration = require('@core/migration.core')
+        const pending = []
+
+        for (const connection of Database.connections.keys()) {
+            // replicas and read-only databases have no migrations to check
+            if (!Database.definitions().get(connection).migrations.dir) continue
+
+            // a degraded connection is checked by "npm run migrate:status" once it is back
+            if (!Database.available(connection)) {
+                Logger.warning('boot', `skipping the migration check of the unavailable ${connection} connection`)
+                continue
+            }
+
+            const names = await Migration.pending(connection)
+            pending.push(...(connection === Database.DEFAULT ? names : names.map((name) => `${connection}:${name}`)))
+        }
+
+        if (pending.length === 0) return true
+
+        const message = `${pending.length} pending migration(s): ${pending.join(', ')}`
+
+        if (policy === 'warn') {
+            Logger.warning('boot', `${message}, run "npm run migrate"`)
+            return true
+        }
+
+        Logger.error('boot', `refusing to start with ${message}`)
+        process.exitCode = Lifecycle.EXIT_CODES.failure
+        await Lifecycle.terminate('pending migrations')
+        return false
+    }
+
+    // shutdown of the core modules, also registered by the test harness. App hooks default to priority 50,
+    // so they run after the server stopped and before the database closes
+    static coreHooks() {
+        Lifecycle.onShutdown('server', ({ timeout }) => require('@core/server.core').close(timeout), 10)
+        Lifecycle.onShutdown('socket', ({ timeout }) => require('@core/socket.core').close(timeout), 20)
+        Lifecycle.onShutdown('presence', () => require('@core/presence.core').close(), 30)
+        Lifecycle.onShutdown('database', () => require('@core/database.core').close(), 80)
+        Lifecycle.onShutdown(
+            'logger',
+            () => {
+                Logger.stopLogRotation()
+                return Logger.flush()
+            },
+            100,
+        )
+    }
 }
@@ -0,0 +1,186 @@
+'use strict'
+
+const cluster = require('cluster')
+const net = require('net')
+const os = require('os')
+const Lifecycle = require('@core/lifecycle.core')
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+// The primary owns the public port and hands every TCP connection to a worker chosen by the client
+// address, so all requests of a client (including Socket.IO long-polling) land on the same worker.
+module.exports = class Cluster {
+    static server = null
+    static #slots = []
+    static #ready = new Set()
+    static #starting = null
+    static #stopping = false
+
+    static get enabled() {
+        return config.cluster.enabled
+    }
+
+    static get isPrimary() {
+        return this.enabled && cluster.isPrimary
+    }
+
+    static get isWorker() {
+        return this.enabled && cluster.isWorker
+    }
+
+    static size() {
+        return config.cluster.workers || os.availableParallelism()
+    }
+
+    // --- primary ---
+    static async start() {
+        const size = this.size()
+
+        Logger.info('cluster', `starting ${size} worker(s)...`)
+
+        cluster.setupPrimary({ serialization: 'advanced' })
+        cluster.on('message', (worker, message) => this.#onMessage(worker, message))
+        cluster.on('exit', (worker, code, signal) => this.#onExit(worker, code, signal))
+
+        const started = new Promise((resolve, reject) => (this.#starting = { resolve, reject }))
+
+        for (let slot = 0; slot < size; slot++) {
+            this.#fork(slot)
+        }
+
+        await started
+        this.#starting = null
+
+        this.server = net.createServer({ pauseOnConnect: true }, (connection) => this.#route(connection))
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject)
+            this.server.listen(config.app.port, () => {
+                this.server.off('error', reject)
+                this.server.on('error', (err) => Logger.error('cluster', err))
+                resolve()
+            })
+        })
+        Logger.info('cluster', `${size} worker(s) ready, listening on port ${config.app.port}`)
+    }
+
+    static #fork(slot) {
+        const worker = cluster.fork()
+
+        this.#slots[slot] = worker
+        Logger.debug('cluster', `worker ${worker.process.pid} forked for slot ${slot}`)
+    }
+
+    static #route(connection) {
+        const slot = this.#hash(connection.remoteAddress) % this.#slots.length
+
+        // fall back to the next ready worker while the assigned one restarts
+        for (let i = 0; i < this.#slots.length; i++) {
+            const worker = this.#slots[(slot + i) % this.#slots.length]
+
+            if (this.#ready.has(worker.id) && worker.isConnected()) {
+                return worker.send({ type: 'cluster:connection' }, connection)
+            }
+        }
+
+        connection.destroy()
+    }
+
+    static #hash(address = '') {
+        let hash = 0
+
+        for (let i = 0; i < address.length; i++) {
+            hash = (hash * 31 + address.charCodeAt(i)) | 0
+        }
+
+        return Math.abs(hash)
+    }
+
+    static #onMessage(worker, message) {
+        if (message?.type === 'cluster:ready') {
+            this.#ready.add(worker.id)
+            Logger.debug('cluster', `worker ${worker.process.pid} is ready`)
+
+            if (this.#starting && this.#ready.size === this.#slots.length) this.#starting.resolve()
+            return
+        }
+
+        // socket.io adapter traffic is relayed to every other worker
+        if (message?.type?.startsWith('socket.io:')) {
+            for (const other of Object.values(cluster.workers)) {
+                if (other.id !== worker.id && other.isConnected()) other.send(message)
+            }
+        }
+    }
+
+    static #onExit(worker, code, signal) {
+        const slot = this.#slots.indexOf(worker)
+        const status = signal ?? code
+
+        this.#ready.delete(worker.id)
+
+        if (this.#stopping || Lifecycle.state === 'stopping') return
+
+        // a worker failing to boot would fail again, so startup is aborted instead of looping
+        if (this.#starting) {
+            return this.#starting.reject(new Error(`worker ${worker.process.pid} exited (${status}) before it was ready`))
+        }
+
+        Logger.warning('cluster', `worker ${worker.process.pid} exited (${status})`)
+
+        if (config.cluster.respawn && slot !== -1) {
+            setTimeout(() => this.#stopping || this.#fork(slot), 1000)
+        }
+    }
+
+    static async close(timeout = config.server.shutdown.timeout) {
+        if (!this.isPrimary || this.#stopping) return
+
+        this.#stopping = true
+        this.server?.close()
+
+        const workers = Object.values(cluster.workers).filter((worker) => !worker.isDead())
+        Logger.info('cluster', `stopping ${workers.length} worker(s)...`)
+
+        for (const worker of workers) {
+            if (worker.isConnected()) worker.send({ type: 'cluster:shutdown' })
+        }
+
+        const exited = Promise.all(workers.map((worker) => new Promise((resolve) => (worker.isDead() ? resolve() : worker.once('exit', resolve)))))
+        await Promise.race([exited, new Promise((resolve) => setTimeout(resolve, timeout + 1000).unref())])
+
+        for (const worker of workers) {
+            if (!worker.isDead()) {
+                Logger.warning('cluster', `worker ${worker.process.pid} did not stop in time, killing it`)
+                worker.process.kill('SIGKILL')
+            }
+        }
+
+        Logger.info('cluster', 'all workers stopped')
+    }
+
+    // --- worker ---
+    static join() {
+        process.on('message', (message) => {
+            if (message?.type === 'cluster:shutdown') return Lifecycle.terminate('primary request')
+            if (message?.type?.startsWith('socket.io:')) return require('@core/adapters/ipc.adapter').dispatch(message)
+        })
+
+        // an orphaned worker would keep serving connections nobody routes anymore
+        process.once('disconnect', () => Lifecycle.terminate('primary exited'))
+    }
+
+    // the worker's server never listens itself, connections arrive from the primary
+    static attach(server) {
+        process.on('message', (message, connection) => {
+            if (message?.type !== 'cluster:connection' || !connection) return
+
+            server.emit('connection', connection)
+            connection.resume()
+        })
+    }
+
+    static ready() {
+        if (process.connected) process.send({ type: 'cluster:ready' })
+    }
+}
@@ -0,0 +1,467 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { z } = require('zod')
+
+class ConfigError extends Error {
+    constructor(issues) {
+        const lines = issues.map((issue) => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`)
+        super(`invalid configuration\n${lines.join('\n')}`)
+        this.name = 'ConfigError'
+        this.issues = issues
+    }
+}
+
+// options shared by the default database connection and the named ones
+const connectionSchema = z.looseObject({
+    dialect: z.enum(['mysql', 'mariadb', 'postgres', 'sqlite', 'mssql', 'db2', 'snowflake', 'oracle']),
+    host: z.string().optional(),
+    port: z.number().int().min(1).max(65535).optional(),
+    database: z.string().optional(),
+    username: z.string().optional(),
+    password: z.string().optional(),
+    replication: z
+        .looseObject({
+            read: z.array(z.union([z.string().min(1), z.looseObject({ host: z.string().optional(), port: z.number().int().min(1).max(65535).optional() })])),
+            write: z.looseObject({}).optional(),
+        })
+        .optional(),
+})
+
+const connectSchema = z.looseObject({
+    retries: z.number().int().min(0),
+    delay: z.number().int().positive(),
+    max_delay: z.number().int().positive(),
+    jitter: z.number().min(0).max(1),
+    on_failure: z.enum(['fail', 'degraded']),
+    check_interval: z.number().int().min(0),
+})
+
+module.exports = class Config {
+    static ConfigError = ConfigError
+    static ROOT_DIR = process.cwd()
+    static ENVIRONMENTS_DIR = path.join(process.cwd(), 'src/app/environments')
+    static values = {}
+    static #envLoaded = false
+    static #environment = null
+
+    static schema = z.looseObject({
+        app: z.looseObject({
+            env: z.string().min(1),
+            production: z.boolean(),
+            port: z.number().int().min(0).max(65535),
+            url: z.url(),
+            name: z.string().min(1),
+            timezone: z.string().min(1),
+            log_dir: z.string().min(1),
+        }),
+        logging: z.looseObject({
+            format: z.enum(['text', 'json']),
+            level: z.enum(['debug', 'info', 'log', 'warning', 'error']),
+            layers: z.record(z.string(), z.enum(['debug', 'info', 'log', 'warning', 'error'])),
+            sampling: z.record(
+                z.string(),
+                z.looseObject({
+                    rate: z.number().min(0).max(1).optional(),
+                    limit: z.number().int().positive().optional(),
+                    interval: z.number().int().positive().optional(),
+                }),
+            ),
+            redact: z.looseObject({
+                keys: z.array(z.union([z.string().min(1), z.instanceof(RegExp)])),
+                censor: z.string(),
+            }),
+            transports: z.array(
+                z.union(
+                    [
+                        z.looseObject({
+                            type: z.enum(['console', 'file', 'stream', 'http', 'memory']),
+                            level: z.enum(['debug', 'info', 'log', 'warning', 'error']).optional(),
+                            format: z.enum(['text', 'json']).nullable().optional(),
+                        }),
+                        z.custom((transport) => typeof transport?.write === 'function'),
+                    ],
+                    { error: 'expected { type: console | file | stream | http | memory } or a transport object with a write(line, entry) method' },
+                ),
+            ),
+        }),
+        server: z.looseObject({
+            https: z.boolean(),
+            ssl: z.looseObject({
+                cert: z.string(),
+                key: z.string(),
+            }),
+            options: z.looseObject({
+                poweredBy: z.boolean(),
+                maxHeaderSize: z.number().int().positive(),
+                keepAliveTimeout: z.number().int().min(0),
+                requestTimeout: z.number().int().min(0),
+                headersTimeout: z.number().int().min(0),
+            }),
+            shutdown: z.looseObject({
+                timeout: z.number().int().min(0),
+                signals: z.array(z.string().startsWith('SIG')),
+            }),
+        }),
+        cluster: z.looseObject({
+            enabled: z.boolean(),
+            workers: z.number().int().min(0),
+            respawn: z.boolean(),
+        }),
+        security: z.looseObject({
+            headers: z.looseObject({
+                hsts: z.union([
+                    z.literal(false),
+                    z.looseObject({
+                        max_age: z.number().int().min(0),
+                        include_subdomains: z.boolean(),
+                        preload: z.boolean(),
+                    }),
+                ]),
+                csp: z.union([
+                    z.literal(false),
+                    z.looseObject({
+                        report_only: z.boolean(),
+                        directives: z.record(z.string(), z.array(z.string())),
+                    }),
+                ]),
+                frame: z.union([z.literal(false), z.enum(['DENY', 'SAMEORIGIN'])]),
+                referrer: z.union([z.literal(false), z.string().min(1)]),
+                extra: z.record(z.string(), z.string()),
+            }),
+            csrf: z.looseObject({
+                enabled: z.boolean(),
+                cookie: z.string().min(1),
+                field: z.string().min(1),
+                header: z.string().min(1),
+            }),
+        }),
+        rate_limit: z.looseObject({
+            enabled: z.boolean(),
+            headers: z.boolean(),
+            limiters: z.record(
+                z.string(),
+                z.looseObject({
+                    algorithm: z.enum(['fixed-window', 'token-bucket']).optional(),
+                    limit: z.number().int().positive(),
+                    window: z.number().int().positive(),
+                    burst: z.number().int().positive().optional(),
+                    key: z.union([z.enum(['ip', 'user']), z.function()]).optional(),
+                    skip_successful: z.boolean().optional(),
+                    message: z.string().optional(),
+                }),
+            ),
+        }),
+        monitoring: z.looseObject({
+            enabled: z.boolean(),
+            paths: z.looseObject({
+                health: z.union([z.literal(''), z.string().startsWith('/')]),
+                ready: z.union([z.literal(''), z.string().startsWith('/')]),
+                metrics: z.union([z.literal(''), z.string().startsWith('/')]),
+            }),
+            protect: z.array(z.enum(['health', 'ready', 'metrics'])),
+            token: z.string(),
+            allow: z.array(z.string().min(1)),
+            timeout: z.number().int().positive(),
+            buckets: z.array(z.number().positive()).min(1),
+        }),
+        boot: z.looseObject({
+            fail_fast: z.looseObject({
+                hooks: z.boolean(),
+                database: z.boolean(),
+                http: z.boolean(),
+                socket: z.boolean(),
+                ready: z.boolean(),
+            }),
+        }),
+        express: z.looseObject({
+            trustProxy: z.union([z.boolean(), z.number(), z.string(), z.array(z.string()), z.function()]),
+            cors: z.looseObject({
+                origin: z.union([z.boolean(), z.string(), z.instanceof(RegExp), z.array(z.union([z.string(), z.instanceof(RegExp)])), z.function()]),
+            }),
+            static: z.looseObject({
+                status: z.boolean(),
+                alias: z.string().startsWith('/'),
+                path: z.string(),
+            }),
+            view: z.looseObject({
+                status: z.boolean(),
+                engine: z.string(),
+                path: z.string(),
+            }),
+            errors: z.looseObject({
+                api_prefix: z.string().startsWith('/'),
+                views: z.string().min(1),
+            }),
+            controllers: z.string().min(1),
+            request_id: z.looseObject({
+                header: z.string().min(1),
+                trust: z.boolean(),
+            }),
+            access_log: z.looseObject({
+                enabled: z.boolean(),
+                format: z.enum(['combined', 'common', 'json']),
+                skip: z.array(z.union([z.string(), z.instanceof(RegExp), z.function()])),
+                skip_static: z.boolean(),
+                slow_threshold: z.number().min(0),
+            }),
+        }),
+        socket: z.looseObject({
+            adapter: z.union([z.enum(['memory', 'cluster']), z.function()]),
+            options: z.looseObject({}),
+            presence: z.looseObject({
+                offline_delay: z.number().int().min(0),
+            }),
+        }),
+        auth: z.looseObject({
+            secret: z.string(),
+            guards: z.array(z.enum(['jwt', 'session'])).min(1),
+            hashing: z.looseObject({
+                N: z.number().int().positive(),
+                r: z.number().int().positive(),
+                p: z.number().int().positive(),
+                keylen: z.number().int().min(32),
+            }),
+            jwt: z.looseObject({
+                issuer: z.string(),
+                access_ttl: z.number().int().positive(),
+                refresh_ttl: z.number().int().positive(),
+            }),
+            session: z.looseObject({
+                cookie: z.string().min(1),
+                ttl: z.number().int().positive(),
+                secure: z.boolean(),
+                same_site: z.enum(['strict', 'lax', 'none']),
+            }),
+        }),
+        database: z.looseObject({
+            ...connectionSchema.shape,
+            storage: z.string().min(1),
+            logging: z.boolean(),
+            connect: connectSchema,
+            models: z.string().min(1),
+            pagination: z.looseObject({
+                size: z.number().int().positive(),
+                max_size: z.number().int().positive(),
+            }),
+            sync: z.boolean(),
+            force: z.boolean(),
+            alter: z.boolean(),
+            migrations: z.looseObject({
+                dir: z.string().min(1),
+                table: z.string().min(1),
+                pending: z.enum(['ignore', 'warn', 'refuse']),
+            }),
+            connections: z.record(
+                z.string().regex(/^(?!default$)[\w-]+$/, 'connection names are letters, digits, "_" and "-", and "default" is the connection above'),
+                z.looseObject({
+                    ...connectionSchema.shape,
+                    storage: z.string().min(1).optional(),
+                    logging: z.boolean().optional(),
+                    connect: connectSchema.partial().optional(),
+                    models: z.union([z.string().min(1), z.array(z.string().min(1))]).optional(),
+                    sync: z.boolean().optional(),
+                    migrations: z
+                        .looseObject({
+                            dir: z.string().min(1).optional(),
+                            table: z.string().min(1).optional(),
+                        })
+                        .optional(),
+                }),
+            ),
+        }),
+    })
+
+    static get environment() {
+        this.loadEnv()
+        return this.#environment
+    }
+
+    static load(base) {
+        this.loadEnv()
+
+        // overlays may be plain objects or `(env) => ({...})` so variables still win over their defaults
+        const overlayPath = path.join(this.ENVIRONMENTS_DIR, `${this.#environment}.js`)
+        const overlay = fs.existsSync(overlayPath) ? require(overlayPath) : {}
+
+        this.values = this.merge(base, typeof overlay === 'function' ? overlay(this.env) : overlay)
+        return this.values
+    }
+
+    static validate() {
+        const result = this.schema.safeParse(this.values)
+        const issues = result.success ? [] : [...result.error.issues]
+
+        if (result.success) {
+            issues.push(...this.#ruleIssues(this.values))
+        }
+
+        if (issues.length > 0) {
+            throw new ConfigError(issues)
+        }
+
+        return this.values
+    }
+
+    // modules keep a reference to the loaded values, so they are patched in place, e.g. by the test harness
+    static patch(overrides, target = this.values) {
+        for (const [key, value] of Object.entries(overrides || {})) {
+            if (this.#isPlainObject(value) && this.#isPlainObject(target[key])) {
+                this.patch(value, target[key])
+            } else {
+                target[key] = value
+            }
+        }
+
+        return target
+    }
+
+    static get(key, fallback) {
+        const value = key.split('.').reduce((target, part) => (target == null ? undefined : target[part]), this.values)
+        return value === undefined ? fallback : value
+    }
+
+    // --- environment variables ---
+    static env(key, fallback) {
+        Config.loadEnv()
+
+        const raw = process.env[key]
+        if (raw === undefined || raw === '') return fallback
+
+        return Config.coerce(raw, fallback)
+    }
+
+    static coerce(raw, fallback) {
+        const value = raw.trim()
+
+        if (typeof fallback === 'boolean') {
+            if (['true', '1', 'yes', 'on'].includes(value.toLowerCase())) return true
+            if (['false', '0', 'no', 'off'].includes(value.toLowerCase())) return false
+            return value
+        }
+
+        if (typeof fallback === 'number') {
+            const number = Number(value)
+            return value !== '' && !Number.isNaN(number) ? number : value
+        }
+
+        if (Array.isArray(fallback)) {
+            return value
+                .split(',')
+                .map((item) => item.trim())
+                .filter(Boolean)
+        }
+
+        return value
+    }
+
+    static loadEnv() {
+        if (this.#envLoaded) return
+        this.#envLoaded = true
+
+        const base = { ...this.#readEnvFile('.env'), ...this.#readEnvFile('.env.local') }
+        this.#environment = process.env.APP_ENV || process.env.NODE_ENV || base.APP_ENV || base.NODE_ENV || 'development'
+
+        const values = {
+            ...this.#readEnvFile('.env'),
+            ...this.#readEnvFile(`.env.${this.#environment}`),
+            ...this.#readEnvFile('.env.local'),
+            ...this.#readEnvFile(`.env.${this.#environment}.local`),
+        }
+
+        // variables already set in the real environment always win over files
+        for (const [key, value] of Object.entries(values)) {
+            if (process.env[key] === undefined) {
+                process.env[key] = value
+            }
+        }
+    }
+
+    static parseEnv(content) {
+        const values = {}
+
+        for (const line of content.split(/\r?\n/)) {
+            const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)?\s*$/)
+            if (!match) continue
+
+            let value = (match[2] || '').trim()
+            const quote = value[0]
+
+            if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+                value = value.slice(1, -1)
+                if (quote === '"') value = value.replace(/\\n/g, '\n')
+            } else {
+                value = value.replace(/\s+#.*$/, '')
+            }
+
+            values[match[1]] = value
+        }
+
+        return values
+    }
+
+    static #readEnvFile(name) {
+        const file = path.join(this.ROOT_DIR, name)
+        if (!fs.existsSync(file)) return {}
+        return this.parseEnv(fs.readFileSync(file, 'utf8'))
+    }
+
+    // --- merging ---
+    static merge(target, source) {
+        const output = { ...target }
+
+        for (const [key, value] of Object.entries(source || {})) {
+            output[key] = this.#isPlainObject(value) && this.#isPlainObject(target[key]) ? this.merge(target[key], value) : value
+        }
+
+        return output
+    }
+
+    static #isPlainObject(value) {
+        return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+    }
+
+    // checks a schema cannot express: files on disk and production-only requirements
+    static #ruleIssues(values) {
+        const issues = []
+
+        if (values.app.production && values.auth.secret.length < 32) {
+            issues.push({ path: ['auth', 'secret'], message: 'APP_KEY must be set to at least 32 characters in production' })
+        }
+
+        issues.push(...this.#corsIssues(values.express.cors, ['express', 'cors'], values.app.production))
+        issues.push(...this.#corsIssues(values.socket.options.cors, ['socket', 'options', 'cors'], values.app.production))
+
+        if (values.server.https) {
+            for (const key of ['cert', 'key']) {
+                const file = values.server.ssl[key]
+                if (!fs.existsSync(file)) {
+                    issues.push({ path: ['server', 'ssl', key], message: `file not found: ${file}` })
+                }
+            }
+        }
+
+        return issues
+    }
+
+    // a wildcard with credentials would let any site act on behalf of logged-in users
+    static #corsIssues(cors, path, production) {
+        if (!cors || typeof cors.origin === 'function') return []
+
+        const issues = []
+        const origins = Array.isArray(cors.origin) ? cors.origin : [cors.origin]
+
+        for (const origin of origins) {
+            if (typeof origin === 'string' && origin !== '*' && !/^https?:\/\/[^/\s]+$/.test(origin)) {
+                issues.push({ path: [...path, 'origin'], message: `"${origin}" is not an origin, expected scheme://host[:port] without a path` })
+            }
+        }
+
+        if (production && cors.credentials && origins.some((origin) => origin === '*' || origin === true)) {
+            issues.push({ path: [...path, 'origin'], message: 'credentials cannot be combined with a wildcard origin in production, list the allowed origins' })
+        }
+
+        return issues
+    }
+}
@@ -0,0 +1,149 @@
+'use strict'
+
+const Config = require('@core/config.core')
+const Database = require('@core/database.core')
+const Generator = require('@core/generator.core')
+const Lifecycle = require('@core/lifecycle.core')
+const Logger = require('@core/logger.core')
+const Migration = require('@core/migration.core')
+
+module.exports = class Console {
+    static commands = new Map()
+
+    static command(name, description, handler) {
+        this.commands.set(name, { name, description, handler })
+    }
+
+    static async run(argv) {
+        this.#builtins()
+
+        const { name, args, options } = this.parse(argv)
+
+        if (!name || name === 'help' || options.help) {
+            return this.help()
+        }
+
+        const command = this.commands.get(name)
+
+        if (!command) {
+            Logger.error('console', `unknown command "${name}"`)
+            this.help()
+            process.exitCode = 1
+            return
+        }
+
+        // same as Boot.run: no command runs on an invalid configuration
+        try {
+            Config.validate()
+        } catch (err) {
+            process.stderr.write(`${err.message}\n`)
+            Logger.error('config', err, { skip: ['console'] })
+            process.exitCode = Lifecycle.EXIT_CODES.config
+            return
+        }
+
+        try {
+            await command.handler({ args, options })
+        } catch (err) {
+            Logger.error('console', err)
+            process.exitCode = 1
+        }
+    }
+
+    // `migrate:rollback --step=2 --force` => { name, args: [], options: { step: '2', force: true } }
+    static parse(argv) {
+        const [name, ...rest] = argv
+        const args = []
+        const options = {}
+
+        for (const item of rest) {
+            const match = item.match(/^--([^=]+)(?:=(.*))?$/)
+
+            if (match) {
+                options[match[1]] = match[2] ?? true
+            } else {
+                args.push(item)
+            }
+        }
+
+        return { name, args, options }
+    }
+
+    static help() {
+        const width = Math.max(...[...this.commands.keys()].map((name) => name.length))
+
+        console.log('Usage: mini <command> [arguments] [--options]\n')
+        console.log('Available commands:')
+
+        for (const { name, description } of this.commands.values()) {
+            console.log(`  ${name.padEnd(width)}  ${description}`)
+        }
+    }
+
+    static async withDatabase(callback) {
+        await Database.init()
+
+        try {
+            return await callback()
+        } finally {
+            await Database.close()
+        }
+    }
+
+    static #builtins() {
+        this.command('migrate', 'Run all pending migrations of every connection (--connection=name for one)', ({ options }) => this.withDatabase(() => Migration.migrate({ connection: options.connection })))
+
+        this.command('migrate:rollback', 'Roll back the last batch of migrations (--step=N for the last N, --connection=name)', ({ options }) => this.withDatabase(() => Migration.rollback({ step: options.step ? Number(options.step) : undefined, connection: options.connection })))
+
+        this.command('migrate:status', 'Show the status of every migration (--connection=name for one connection)', ({ options }) =>
+            this.withDatabase(async () => {
+                const connections = options.connection ? [options.connection] : [...Database.connections.keys()]
+                const rows = []
+
+                for (const connection of connections) {
+                    for (const { name, status, batch } of await Migration.status(connection)) {
+                        rows.push({ connection, migration: name, status, batch: batch ?? '' })
+                    }
+                }
+
+                console.table(rows)
+            }),
+        )
+
+        this.command('db:seed', 'Run every seeder, or only the one given (db:seed user)', ({ args }) => this.withDatabase(() => Migration.seed(args[0])))
+
+        this.command('make:model', 'Create a model (--migration and --repository to add its migration and repository)', ({ args, options }) => Generator.model(args[0], options))
+        this.command('make:controller', 'Create a controller (--resource for the actions of route.resource())', ({ args, options }) => Generator.controller(args[0], options))
+        this.command('make:resource', 'Create an API resource, the JSON shape of a model', ({ args, options }) => Generator.resource(args[0], options))
+        this.command('make:repository', 'Create a repository for a model', ({ args, options }) => Generator.repository(args[0], options))
+        this.command('make:route', 'Create a route file and require it from register.route.js', ({ args, options }) => Generator.route(args[0], options))
+        this.command('make:middleware', 'Create a middleware and register it in register.middleware.js', ({ args, options }) => Generator.middleware(args[0], options))
+        this.command('make:socket', 'Create a socket namespace and require it from register.socket.js', ({ args, options }) => Generator.socket(args[0], options))
+        this.command('make:migration', 'Create a migration (make:migration create_products_table)', ({ args, options }) => Generator.migration(args[0], options))
+        this.command('make:seeder', 'Create a seeder', ({ args, options }) => Generator.seeder(args[0], options))
+
+        this.command('route:list', 'List every registered route with its middleware', () => {
+            const Express = require('@core/express.core')
+            Express.init()
+
+            console.table(Express.routes().map(({ method, path, middleware, handler }) => ({ method, path, middleware: middleware.join(', '), handler })))
+        })
+
+        this.command('config:show', 'Print the resolved configuration with secrets masked (config:show database)', ({ args }) => {
+            const values = args[0] ? Config.get(args[0]) : Config.values
+
+            if (values === undefined) {
+                throw new Error(`config key "${args[0]}" does not exist`)
+            }
+
+            console.log(JSON.stringify(values, (key, value) => this.#mask(key, value), 4))
+        })
+    }
+
+    static #mask(key, value) {
+        if (typeof value === 'function') return '[Function]'
+        if (value instanceof RegExp) return value.toString()
+        if (/password|secret|token|(^|_)key$/i.test(key) && typeof value === 'string' && value !== '') return '********'
+        return value
+    }
+}
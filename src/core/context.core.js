@@ -0,0 +1,50 @@
+'use strict'
+
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+const { performance } = require('perf_hooks')
+const config = require('@app/config')
+
+// Per-request context (HTTP requests, socket events) available anywhere down the async call chain,
+// e.g. to attach the request id to every log line written while handling it.
+module.exports = class Context {
+    static storage = new AsyncLocalStorage()
+
+    static run(values, callback) {
+        return this.storage.run({ id: crypto.randomUUID(), ...values, userId: values.userId ?? null, startedAt: performance.now() }, callback)
+    }
+
+    static get() {
+        return this.storage.getStore() ?? null
+    }
+
+    static set(key, value) {
+        const store = this.get()
+        if (store) store[key] = value
+    }
+
+    static id() {
+        return this.get()?.id ?? null
+    }
+
+    static elapsed() {
+        const store = this.get()
+        return store ? performance.now() - store.startedAt : null
+    }
+
+    static middleware() {
+        const { header, trust } = config.express.request_id
+
+        return (req, res, next) => {
+            const incoming = req.get(header)
+
+            // incoming ids end up in every log line, so only well-formed ones are kept
+            const id = trust && /^[\w.:-]{1,128}$/.test(incoming ?? '') ? incoming : crypto.randomUUID()
+
+            req.id = id
+            res.set(header, id)
+
+            this.run({ id, method: req.method, path: req.path }, next)
+        }
+    }
+}
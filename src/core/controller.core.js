@@ -0,0 +1,25 @@
+'use strict'
+
+// Base class of src/app/http/controllers. Actions are static methods receiving { req, res, next }.
+// Routes registered by route.resource() call them on the controller, so `this` is the controller there,
+// while a method passed by hand (route.get('me', AuthController.me)) is called without it.
+module.exports = class Controller {
+    // model bound to the resource parameter (:user), by default the singular of the resource name
+    static model = null
+
+    // middleware of the resource routes, for every action ('*') or one of them:
+    // { '*': [AuthMiddleware.authenticate], store: [Validator.validate({ body: UserValidator.store })] }
+    static middleware = {}
+
+    static ok(res, data, message) {
+        return res.json({ success: true, ...(message && { message }), data })
+    }
+
+    static created(res, data, message) {
+        return res.status(201).json({ success: true, ...(message && { message }), data })
+    }
+
+    static deleted(res, message = 'Deleted') {
+        return res.json({ success: true, message })
+    }
+}
@@ -1,116 +1,452 @@
 'use strict'
 
-const { Sequelize } = require('sequelize')
+const EventEmitter = require('events')
+const { Sequelize, ConnectionError } = require('sequelize')
 const fs = require('fs')
 const path = require('path')
 const Logger = require('@core/logger.core')
+const { ServiceUnavailableException } = require('@core/exception.core')
 const config = require('@app/config')
 
+// `logging`, `timezone`, `pool`, `define` and `connect` of named connections default to those of the default connection
+const SHARED_OPTIONS = ['logging', 'timezone', 'pool', 'define', 'connect']
+
 module.exports = class Database {
-    static sequelize = null
+    static DEFAULT = 'default'
+    static sequelize = null // the default connection
+    static connections = new Map()
     static models = {}
+    static events = new EventEmitter()
+    static #modelConnections = new Map()
+    static #status = new Map()
+    static #synced = new Set()
+    static #monitors = new Map()
+    static #waits = new Set()
+    static #closed = false
 
+    // failures are thrown to the caller, Boot decides whether they are fatal. Connections that stay
+    // unreachable with connect.on_failure 'degraded' do not fail, they keep reconnecting in the background.
     static async init() {
-        try {
-            Logger.info('database', 'preparing database connection...')
-
-            const dbConfig = config.database
-
-            this.sequelize = new Sequelize(dbConfig.database, dbConfig.username, dbConfig.password, {
-                host: dbConfig.host,
-                port: dbConfig.port,
-                dialect: dbConfig.dialect,
-                logging: dbConfig.logging ? (msg) => Logger.debug('sequelize', msg) : false,
-                pool: dbConfig.pool,
-                timezone: dbConfig.timezone,
-                define: dbConfig.define,
-            })
+        Logger.info('database', 'preparing database connection...')
+        this.#closed = false
+
+        const definitions = this.definitions()
+
+        for (const [name, options] of definitions) {
+            this.open(name, options)
+        }
+
+        await this.loadModels()
+        await this.associateModels()
+
+        await Promise.all([...definitions.keys()].map((name) => this.#connect(name)))
+
+        for (const [name, options] of definitions) {
+            if (options.sync && this.available(name)) await this.sync(name)
+            this.#monitor(name, options.connect.check_interval)
+        }
+
+        const unavailable = [...definitions.keys()].filter((name) => !this.available(name))
+        if (unavailable.length > 0) Logger.warning('database', `running degraded, unavailable connection(s): ${unavailable.join(', ')}`)
+        else Logger.info('database', 'database is ready')
+    }
 
-            await this.testConnection()
-            await this.loadModels()
-            await this.associateModels()
+    // the default connection (config.database) first, then config.database.connections
+    static definitions() {
+        const { connections = {}, ...defaults } = config.database
+        const definitions = new Map([[this.DEFAULT, defaults]])
+
+        for (const [name, options] of Object.entries(connections)) {
+            const shared = Object.fromEntries(SHARED_OPTIONS.map((key) => [key, defaults[key]]))
+            definitions.set(name, { ...shared, ...options, connect: { ...defaults.connect, ...options.connect }, migrations: { table: defaults.migrations.table, ...options.migrations } })
+        }
 
-            if (dbConfig.sync) {
-                await this.sync()
+        return definitions
+    }
+
+    // creates the Sequelize instance, it connects on the first query (see #connect)
+    static open(name, options) {
+        const sequelize = new Sequelize(options.database, options.username, options.password, {
+            host: options.host,
+            port: options.port,
+            dialect: options.dialect,
+            storage: options.storage,
+            dialectOptions: options.dialectOptions,
+            replication: this.#replication(options.replication),
+            logging: options.logging ? (msg) => Logger.debug('sequelize', name === this.DEFAULT ? msg : `[${name}] ${msg}`) : false,
+            pool: options.pool,
+            timezone: options.timezone,
+            define: options.define,
+        })
+
+        // Sequelize errors do not say which instance raised them, connection errors are tagged with its name
+        const query = sequelize.query.bind(sequelize)
+        sequelize.query = async (...args) => {
+            try {
+                return await query(...args)
+            } catch (err) {
+                if (this.isConnectionError(err)) err.connection ??= name
+                throw err
             }
+        }
 
-            Logger.info('database', 'database is ready')
-        } catch (err) {
-            Logger.set(err, 'database')
+        this.connections.set(name, sequelize)
+        if (name === this.DEFAULT) this.sequelize = sequelize
+        this.#status.set(name, { state: 'connecting', attempts: 0, retryAt: null, error: null, checking: false })
+
+        return sequelize
+    }
+
+    // replicas given as host names, Sequelize fills in the other options from the connection
+    static #replication(replication) {
+        if (!replication?.read?.length) return false
+
+        return {
+            read: replication.read.map((replica) => (typeof replica === 'string' ? { host: replica } : replica)),
+            write: replication.write ?? {},
+        }
+    }
+
+    static connection(name = this.DEFAULT) {
+        const sequelize = this.connections.get(name)
+
+        if (!sequelize) {
+            throw new Error(`unknown database connection "${name}"`)
+        }
+
+        return sequelize
+    }
+
+    // quiet, unlike check(). Without a name, every connection is tested
+    static async testConnection(name) {
+        const connections = name ? [this.connection(name)] : [...this.connections.values()]
+        await Promise.all(connections.map((sequelize) => sequelize.authenticate()))
+    }
+
+    // --- connection state ---
+    // connecting -> connected <-> reconnecting, unavailable once the boot retries of on_failure 'fail' are exhausted
+    static state(name = this.DEFAULT) {
+        return this.#status.get(name)?.state ?? 'closed'
+    }
+
+    static available(name = this.DEFAULT) {
+        return this.state(name) === 'connected'
+    }
+
+    // 'connected' and 'disconnected' (a connection starts reconnecting), with the connection name
+    static on(event, listener) {
+        this.events.on(event, listener)
+    }
+
+    // pings the connected connections now instead of at the next check_interval, a lost one starts reconnecting
+    static async check(name) {
+        const names = name ? [name] : [...this.connections.keys()]
+        await Promise.all(names.map((name) => this.#ping(name)))
+
+        return names.every((name) => this.available(name))
+    }
+
+    // delay * 2^attempt capped at max_delay, minus a random part of up to `jitter` so instances do not retry in step
+    static backoff(attempt, { delay, max_delay, jitter }) {
+        return Math.round(Math.min(max_delay, delay * 2 ** attempt) * (1 - jitter * Math.random()))
+    }
+
+    // 503 with a Retry-After matching the next reconnection attempt
+    static unavailable(name = this.DEFAULT, cause) {
+        const retryAt = this.#status.get(name)?.retryAt
+        const retryAfter = Math.max(1, Math.ceil(((retryAt ?? Date.now()) - Date.now()) / 1000))
+
+        // the outage itself is logged by the connection state changes, not once per request turned away
+        return new ServiceUnavailableException('Database is unavailable', { cause, headers: { 'Retry-After': String(retryAfter) }, report: false })
+    }
+
+    // route middleware answering 503 while one of the connections is down, instead of failing on the first query
+    static middleware(...names) {
+        if (names.length === 0) names = [this.DEFAULT]
+
+        const middleware = (req, res, next) => {
+            const down = names.find((name) => !this.available(name))
+            next(down ? this.unavailable(down) : undefined)
+        }
+
+        Object.defineProperty(middleware, 'name', { value: `database:${names.join(',')}` })
+        return middleware
+    }
+
+    // Sequelize raises ConnectionError subclasses when it cannot reach the server, see Handler.handle
+    static isConnectionError(err) {
+        return err instanceof ConnectionError
+    }
+
+    // the connection a connection error came from, the default one when it is not known
+    static connectionOf(err) {
+        return this.connections.has(err?.connection) ? err.connection : this.DEFAULT
+    }
+
+    static #label(name) {
+        return name === this.DEFAULT ? 'database' : `${name} database`
+    }
+
+    static async #connect(name) {
+        const { retries, on_failure, ...connect } = this.definitions().get(name).connect
+        const status = this.#status.get(name)
+
+        for (let attempt = 0; ; attempt++) {
+            status.attempts = attempt + 1
+
+            try {
+                await this.testConnection(name)
+                return this.#connected(name)
+            } catch (err) {
+                status.error = err
+                if (this.#closed) throw err
+
+                if (attempt >= retries) {
+                    if (on_failure === 'degraded') {
+                        Logger.error('database', `${this.#label(name)} connection failed after ${attempt + 1} attempt(s): ${err.message}, starting without it`)
+                        return this.#reconnect(name)
+                    }
+
+                    this.#setState(name, 'unavailable')
+                    throw err
+                }
+
+                const delay = this.backoff(attempt, connect)
+                status.retryAt = Date.now() + delay
+
+                Logger.warning('database', `${this.#label(name)} connection failed: ${err.message}, retrying in ${delay}ms (${attempt + 1}/${retries})`)
+                await this.#wait(delay)
+            }
         }
     }
 
-    static async testConnection() {
+    static async #connected(name) {
+        const previous = this.state(name)
+        const status = this.#status.get(name)
+
+        Object.assign(status, { attempts: 0, retryAt: null, error: null })
+        this.#setState(name, 'connected')
+
+        if (previous === 'reconnecting') Logger.info('database', `${this.#label(name)} connection restored`)
+        else Logger.info('database', `${name === this.DEFAULT ? 'connection' : `${name} connection`} has been established successfully`)
+
+        this.events.emit('connected', name)
+
+        // a connection that was down at boot is synchronized once it comes up
+        const options = this.definitions().get(name)
+        if (previous === 'reconnecting' && options.sync && !this.#synced.has(name)) {
+            await this.sync(name).catch((err) => Logger.error('database', err, { context: { connection: name } }))
+        }
+    }
+
+    static #setState(name, state) {
+        const status = this.#status.get(name)
+        if (status) status.state = state
+    }
+
+    static async #ping(name) {
+        const status = this.#status.get(name)
+        if (status?.state !== 'connected' || status.checking) return
+
+        status.checking = true
+
         try {
-            await this.sequelize.authenticate()
-            Logger.info('database', 'connection has been established successfully')
+            await this.connection(name).authenticate()
         } catch (err) {
-            Logger.set(err, 'database')
-            throw err
+            if (this.#closed) return
+
+            status.error = err
+            Logger.error('database', `${this.#label(name)} connection lost: ${err.message}`)
+            this.#reconnect(name)
+        } finally {
+            status.checking = false
         }
     }
 
-    static async loadModels() {
-        try {
-            const modelsDir = path.join(process.cwd(), 'src/app/models')
+    // reconnects in the background until it succeeds or the database is closed
+    static #reconnect(name) {
+        if (this.state(name) === 'reconnecting' || this.#closed) return
+
+        const connect = this.definitions().get(name).connect
+        const status = this.#status.get(name)
 
-            if (!fs.existsSync(modelsDir)) {
-                Logger.warning('database', 'models directory not found, skipping model loading')
-                return
+        this.#setState(name, 'reconnecting')
+        this.events.emit('disconnected', name)
+
+        const loop = async () => {
+            for (let attempt = 0; !this.#closed; attempt++) {
+                const delay = this.backoff(attempt, connect)
+                status.retryAt = Date.now() + delay
+                await this.#wait(delay)
+                if (this.#closed) return
+
+                status.attempts++
+
+                try {
+                    await this.testConnection(name)
+                    return await this.#connected(name)
+                } catch (err) {
+                    status.error = err
+                    Logger.warning('database', `${this.#label(name)} is still unavailable: ${err.message}`)
+                }
             }
+        }
+
+        loop().catch((err) => Logger.error('database', err, { context: { connection: name } }))
+    }
+
+    // a state change is only noticed by the next query, the interval notices it sooner
+    static #monitor(name, interval) {
+        if (!interval) return
+
+        const timer = setInterval(() => this.#ping(name), interval)
+        timer.unref()
+        this.#monitors.set(name, timer)
+    }
+
+    // resolved early by close()
+    static #wait(ms) {
+        return new Promise((resolve) => {
+            const wait = { resolve }
 
-            const files = fs.readdirSync(modelsDir).filter((file) => file.endsWith('.model.js'))
+            wait.timer = setTimeout(() => {
+                this.#waits.delete(wait)
+                resolve()
+            }, ms)
+            this.#waits.add(wait)
+        })
+    }
+
+    static async loadModels() {
+        const definitions = this.definitions()
+        const defaultDir = path.resolve(process.cwd(), definitions.get(this.DEFAULT).models)
+
+        // model files of the default directory picked by other connections
+        const claimed = new Set([...definitions.values()].flatMap((options) => (Array.isArray(options.models) ? options.models.map((name) => `${name}.model.js`) : [])))
+
+        for (const [name, options] of definitions) {
+            const files = Array.isArray(options.models) ? this.#listedModels(defaultDir, options.models) : this.#modelFiles(name, options.models, name === this.DEFAULT ? claimed : new Set())
 
             for (const file of files) {
-                const modelPath = path.join(modelsDir, file)
-                const modelDefiner = require(modelPath)
+                this.#define(name, file)
+            }
+        }
 
-                if (typeof modelDefiner === 'function') {
-                    const model = modelDefiner(this.sequelize, Sequelize.DataTypes)
-                    this.models[model.name] = model
-                    Logger.debug('database', `model ${model.name} loaded`)
-                }
+        Logger.info('database', `${Object.keys(this.models).length} models loaded`)
+    }
+
+    static #modelFiles(name, dir, skip) {
+        if (!dir) return []
+
+        const modelsDir = path.resolve(process.cwd(), dir)
+
+        if (!fs.existsSync(modelsDir)) {
+            Logger.warning('database', `models directory of the ${name} connection not found, skipping model loading`)
+            return []
+        }
+
+        return fs
+            .readdirSync(modelsDir)
+            .filter((file) => file.endsWith('.model.js') && !skip.has(file))
+            .map((file) => path.join(modelsDir, file))
+    }
+
+    static #listedModels(dir, names) {
+        return names.map((name) => {
+            const file = path.join(dir, `${name}.model.js`)
+            if (!fs.existsSync(file)) throw new Error(`model file ${name}.model.js not found`)
+
+            return file
+        })
+    }
+
+    static #define(connection, file) {
+        const modelDefiner = require(file)
+        if (typeof modelDefiner !== 'function') return
+
+        const model = modelDefiner(this.connection(connection), Sequelize.DataTypes)
+
+        // models are looked up by name only, so names are unique across connections
+        if (this.models[model.name]) {
+            throw new Error(`model ${model.name} is defined on both the ${this.#modelConnections.get(model.name)} and ${connection} connections`)
+        }
+
+        this.#hide(model)
+        this.models[model.name] = model
+        this.#modelConnections.set(model.name, connection)
+        Logger.debug('database', `model ${model.name} loaded on the ${connection} connection`)
+    }
+
+    // `Model.hidden` attributes are left out of toJSON(), also from included records, so that res.json(record)
+    // cannot leak them. Queries with `raw: true` return plain rows and are not covered.
+    static #hide(model) {
+        const toJSON = model.prototype.toJSON
+
+        const strip = (record, values) => {
+            for (const attribute of record.constructor.hidden ?? []) delete values[attribute]
+
+            for (const name of Object.keys(record.constructor.associations)) {
+                const included = record.dataValues[name]
+
+                if (Array.isArray(included)) included.forEach((child, i) => child?.dataValues && strip(child, values[name][i]))
+                else if (included?.dataValues) strip(included, values[name])
             }
 
-            Logger.info('database', `${Object.keys(this.models).length} models loaded`)
-        } catch (err) {
-            Logger.set(err, 'database')
+            return values
+        }
+
+        model.prototype.toJSON = function () {
+            return strip(this, toJSON.call(this))
         }
     }
 
+    // associations cannot cross connections, so each model only sees the models of its own connection
     static async associateModels() {
-        try {
-            Object.values(this.models).forEach((model) => {
+        for (const name of this.connections.keys()) {
+            const models = this.getModels(name)
+
+            Object.values(models).forEach((model) => {
                 if (model.associate) {
-                    model.associate(this.models)
+                    model.associate(models)
                 }
             })
-
-            Logger.info('database', 'model associations completed')
-        } catch (err) {
-            Logger.set(err, 'database')
         }
+
+        Logger.info('database', 'model associations completed')
     }
 
-    static async sync() {
-        try {
-            const dbConfig = config.database
-            await this.sequelize.sync({
-                force: dbConfig.force,
-                alter: dbConfig.alter,
-            })
-            Logger.info('database', 'database synchronized')
-        } catch (err) {
-            Logger.set(err, 'database')
-        }
+    static async sync(name = this.DEFAULT) {
+        const options = this.definitions().get(name)
+
+        await this.connection(name).sync({
+            force: options.force,
+            alter: options.alter,
+        })
+        this.#synced.add(name)
+        Logger.info('database', `${this.#label(name)} synchronized`)
     }
 
     static async close() {
-        try {
-            await this.sequelize.close()
-            Logger.info('database', 'database connection closed')
-        } catch (err) {
-            Logger.set(err, 'database')
+        this.#closed = true
+
+        for (const timer of this.#monitors.values()) clearInterval(timer)
+        this.#monitors.clear()
+
+        for (const wait of this.#waits) {
+            clearTimeout(wait.timer)
+            wait.resolve()
+        }
+        this.#waits.clear()
+
+        for (const [name, sequelize] of this.connections) {
+            this.#setState(name, 'closed')
+
+            try {
+                await sequelize.close()
+                Logger.info('database', `${this.#label(name)} connection closed`)
+            } catch (err) {
+                Logger.error('database', err, { context: { connection: name } })
+            }
         }
     }
 
@@ -118,15 +454,20 @@ module.exports = class Database {
         return this.models[name]
     }
 
+    static getModels(connection = this.DEFAULT) {
+        return Object.fromEntries(Object.entries(this.models).filter(([name]) => this.#modelConnections.get(name) === connection))
+    }
+
     static getInstance() {
         return this.sequelize
     }
 
-    static async transaction(callback) {
-        return await this.sequelize.transaction(callback)
+    static async transaction(callback, connection = this.DEFAULT) {
+        return await this.connection(connection).transaction(callback)
     }
 
-    static async query(sql, options = {}) {
-        return await this.sequelize.query(sql, options)
+    // options.connection picks a named connection
+    static async query(sql, { connection = this.DEFAULT, ...options } = {}) {
+        return await this.connection(connection).query(sql, options)
     }
 }
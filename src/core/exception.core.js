@@ -0,0 +1,101 @@
+'use strict'
+
+const { STATUS_CODES } = require('http')
+
+class HttpException extends Error {
+    constructor(status = 500, message = STATUS_CODES[status], options = {}) {
+        super(message || STATUS_CODES[status], { cause: options.cause })
+        this.name = this.constructor.name
+        this.status = status
+        this.errors = options.errors ?? null
+        this.headers = options.headers ?? {}
+        this.expose = options.expose ?? status < 500
+        // false for expected failures, which Handler.report() logs at debug level whatever the status
+        this.report = options.report ?? true
+    }
+
+    static from(err) {
+        if (err instanceof HttpException) return err
+
+        const status = err?.status || err?.statusCode
+        if (Number.isInteger(status) && status >= 400 && status < 600) {
+            return new HttpException(status, err.message, { cause: err, expose: err.expose })
+        }
+
+        return new InternalServerErrorException(err instanceof Error ? err.message : String(err), { cause: err })
+    }
+}
+
+class BadRequestException extends HttpException {
+    constructor(message, options) {
+        super(400, message, options)
+    }
+}
+
+class UnauthorizedException extends HttpException {
+    constructor(message, options) {
+        super(401, message, options)
+    }
+}
+
+class ForbiddenException extends HttpException {
+    constructor(message, options) {
+        super(403, message, options)
+    }
+}
+
+class NotFoundException extends HttpException {
+    constructor(message, options) {
+        super(404, message, options)
+    }
+}
+
+class MethodNotAllowedException extends HttpException {
+    constructor(message, options) {
+        super(405, message, options)
+    }
+}
+
+class ConflictException extends HttpException {
+    constructor(message, options) {
+        super(409, message, options)
+    }
+}
+
+class ValidationException extends HttpException {
+    constructor(errors = [], message = 'Validation failed', options = {}) {
+        super(422, message, { ...options, errors })
+    }
+}
+
+class TooManyRequestsException extends HttpException {
+    constructor(message, options) {
+        super(429, message, options)
+    }
+}
+
+class InternalServerErrorException extends HttpException {
+    constructor(message, options) {
+        super(500, message, options)
+    }
+}
+
+class ServiceUnavailableException extends HttpException {
+    constructor(message, options) {
+        super(503, message, options)
+    }
+}
+
+module.exports = {
+    HttpException,
+    BadRequestException,
+    UnauthorizedException,
+    ForbiddenException,
+    NotFoundException,
+    MethodNotAllowedException,
+    ConflictException,
+    ValidationException,
+    TooManyRequestsException,
+    InternalServerErrorException,
+    ServiceUnavailableException,
+}
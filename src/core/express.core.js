@@ -6,7 +6,14 @@ const cors = require('cors')
 const cookieParser = require('cookie-parser')
 const Routes = require('@refkinscallv/express-routing')
 const config = require('@app/config')
+const AccessLog = require('@core/access.core')
+const Auth = require('@core/auth.core')
+const Context = require('@core/context.core')
+const Handler = require('@core/handler.core')
+const Health = require('@core/health.core')
 const Logger = require('@core/logger.core')
+const Metrics = require('@core/metrics.core')
+const Security = require('@core/security.core')
 
 module.exports = class Express {
     static app = express()
@@ -20,37 +27,76 @@ module.exports = class Express {
         Logger.info('express', 'preparing middlewares and routes...')
         this.#middlewares()
         this.#routes()
+        this.#errors()
         Logger.info('express', 'middlewares and routes are ready')
     }
 
     static #middlewares() {
-        try {
-            this.app.set('trust proxy', config.express.trustProxy)
-            this.app.set('query parser', (str) => qs.parse(str))
-            this.app.use(express.json())
-            this.app.use(express.urlencoded({ extended: true }))
-            this.app.use(cookieParser())
-            this.app.use(cors(config.express.cors))
-            if (config.express.static.status) {
-                this.app.use(config.express.static.alias, express.static(config.express.static.alias))
-            }
-            if (config.express.view.status) {
-                this.app.set('view engine', config.express.view.engine)
-                this.app.set('views', config.express.view.path)
-            }
-            require('@app/http/middlewares/register.middleware').register(this.app)
-        } catch (err) {
-            Logger.set(err, 'express')
+        // TRUST_PROXY=true and false are not coerced, the fallback is a hop count
+        this.app.set('trust proxy', { true: true, false: false }[config.express.trustProxy] ?? config.express.trustProxy)
+        this.app.set('query parser', (str) => qs.parse(str))
+        this.app.use(Context.middleware())
+        this.app.use(Security.headers())
+        // probes come before the access log and the metrics, they would drown the real traffic
+        if (config.monitoring.enabled) {
+            Health.mount(this.app)
+            this.app.use(Metrics.middleware())
+        }
+        if (config.express.access_log.enabled) {
+            this.app.use(AccessLog.middleware())
+        }
+        this.app.use(express.json())
+        this.app.use(express.urlencoded({ extended: true }))
+        this.app.use(cookieParser(Auth.secret()))
+        this.app.use(cors(config.express.cors))
+        if (config.security.csrf.enabled) {
+            this.app.use(Security.csrf())
         }
+        if (config.express.static.status) {
+            this.app.use(config.express.static.alias, express.static(config.express.static.alias))
+        }
+        if (config.express.view.status) {
+            this.app.set('view engine', config.express.view.engine)
+            this.app.set('views', config.express.view.path)
+        }
+        require('@app/http/middlewares/register.middleware').register(this.app)
     }
 
+    // a broken route file must stop the boot, an app without its routes only answers 404
     static #routes() {
-        try {
-            require('@app/routes/register.route')
-            Routes.apply(this.router)
-            this.app.use(this.router)
-        } catch (err) {
-            Logger.set(err, 'express')
+        require('@core/routing.core') // adds route.resource()
+        require('@app/routes/register.route')
+        Routes.apply(this.router)
+        this.app.use(this.router)
+    }
+
+    // flattened routing table, e.g. for `mini route:list`
+    static routes(stack = this.router.stack) {
+        const routes = []
+
+        for (const layer of stack) {
+            if (layer.route) {
+                const handlers = layer.route.stack.map((item) => item.name)
+
+                for (const method of Object.keys(layer.route.methods)) {
+                    routes.push({
+                        method: method === '_all' ? 'ALL' : method.toUpperCase(),
+                        path: layer.route.path,
+                        middleware: handlers.slice(0, -1),
+                        handler: handlers[handlers.length - 1],
+                    })
+                }
+            } else if (layer.handle?.stack) {
+                routes.push(...this.routes(layer.handle.stack))
+            }
         }
+
+        return routes
+    }
+
+    // registered last so unmatched routes and errors thrown by any route end up here
+    static #errors() {
+        this.app.use(Handler.notFound)
+        this.app.use(Handler.handle)
     }
 }
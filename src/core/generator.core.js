@@ -0,0 +1,191 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Logger = require('@core/logger.core')
+
+module.exports = class Generator {
+    static APP_DIR = path.join(process.cwd(), 'src/app')
+    static STUBS_DIR = path.join(__dirname, 'stubs')
+
+    static model(name, options = {}) {
+        const names = this.names(name)
+
+        const file = this.#write(`models/${names.kebab}.model.js`, 'model', { class: names.pascal, table: names.table }, options)
+
+        if (options.migration) {
+            this.migration(`create-${names.table}-table`, options)
+        }
+
+        if (options.repository) {
+            this.repository(name, options)
+        }
+
+        return file
+    }
+
+    // --resource adds the actions of route.resource(), and the repository and resource they use when missing
+    static controller(name, options = {}) {
+        const names = this.names(name.replace(/Controller$/, ''))
+
+        if (!options.resource) {
+            return this.#write(`http/controllers/${names.kebab}.controller.js`, 'controller', { class: names.pascal }, options)
+        }
+
+        const file = this.#write(`http/controllers/${names.kebab}.controller.js`, 'resource-controller', { class: names.pascal, kebab: names.kebab, resource: names.table.replace(/_/g, '-'), param: names.kebab.replace(/-/g, '_') }, options)
+
+        if (!fs.existsSync(path.join(this.APP_DIR, `repositories/${names.kebab}.repository.js`))) {
+            this.repository(names.pascal, options)
+        }
+
+        if (!fs.existsSync(path.join(this.APP_DIR, `http/resources/${names.kebab}.resource.js`))) {
+            this.resource(names.pascal, options)
+        }
+
+        return file
+    }
+
+    static resource(name, options = {}) {
+        const names = this.names(name.replace(/Resource$/, ''))
+        const variable = names.pascal[0].toLowerCase() + names.pascal.slice(1)
+
+        return this.#write(`http/resources/${names.kebab}.resource.js`, 'resource', { class: names.pascal, variable }, options)
+    }
+
+    static repository(name, options = {}) {
+        const names = this.names(name)
+        return this.#write(`repositories/${names.kebab}.repository.js`, 'repository', { class: names.pascal }, options)
+    }
+
+    static route(name, options = {}) {
+        const names = this.names(name)
+        const file = this.#write(`routes/${names.kebab}.route.js`, 'route', { prefix: names.kebab }, options)
+
+        if (options['no-register'] !== true) {
+            this.#register('routes/register.route.js', `require('@app/routes/${names.kebab}.route')`, /^require\('@app\/routes\/.*$/gm)
+        }
+
+        return file
+    }
+
+    static middleware(name, options = {}) {
+        const names = this.names(name)
+        const file = this.#write(`http/middlewares/${names.kebab}.middleware.js`, 'middleware', { class: names.pascal }, options)
+
+        if (options['no-register'] !== true) {
+            const registerFile = path.join(this.APP_DIR, 'http/middlewares/register.middleware.js')
+            let source = fs.readFileSync(registerFile, 'utf8')
+
+            source = this.#insertRequire(source, `const ${names.pascal}Middleware = require('@app/http/middlewares/${names.kebab}.middleware')`)
+            source = source.replace(/(\n {4}}\n}\s*)$/, `\n        app.use(${names.pascal}Middleware.handle)$1`)
+
+            fs.writeFileSync(registerFile, source)
+            Logger.info('generator', 'registered in src/app/http/middlewares/register.middleware.js')
+        }
+
+        return file
+    }
+
+    static socket(name, options = {}) {
+        const names = this.names(name)
+        const file = this.#write(`socket/${names.kebab}.socket.js`, 'socket', { namespace: names.kebab }, options)
+
+        if (options['no-register'] !== true) {
+            this.#register('socket/register.socket.js', `require('@app/socket/${names.kebab}.socket')`, /^require\('@app\/socket\/.*$/gm)
+        }
+
+        return file
+    }
+
+    static migration(name, options = {}) {
+        const names = this.names(name)
+        const table = names.kebab.match(/^create-(.+)-table$/)?.[1].replace(/-/g, '_') ?? names.table
+        const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14)
+
+        return this.#write(`database/migrations/${stamp}-${names.kebab}.js`, 'migration', { table }, options)
+    }
+
+    static seeder(name, options = {}) {
+        const names = this.names(name)
+        return this.#write(`database/seeders/${names.kebab}.seeder.js`, 'seeder', {}, options)
+    }
+
+    // "UserProfile", "user_profile" or "user-profile" => { kebab: 'user-profile', pascal: 'UserProfile', table: 'user_profiles' }
+    static names(name) {
+        if (!name) {
+            throw new Error('a name is required')
+        }
+
+        const words = name
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(Boolean)
+            .map((word) => word.toLowerCase())
+
+        const pascal = words.map((word) => word[0].toUpperCase() + word.slice(1)).join('')
+        const last = words[words.length - 1]
+
+        return {
+            kebab: words.join('-'),
+            pascal,
+            table: [...words.slice(0, -1), this.plural(last)].join('_'),
+        }
+    }
+
+    static singular(word) {
+        if (/[^aeiou]ies$/.test(word)) return word.replace(/ies$/, 'y')
+        if (/(s|x|z|ch|sh)es$/.test(word)) return word.replace(/es$/, '')
+        if (/[^s]s$/.test(word)) return word.replace(/s$/, '')
+        return word
+    }
+
+    static plural(word) {
+        if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, 'ies')
+        if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`
+        return `${word}s`
+    }
+
+    static #write(relative, stub, replacements, options) {
+        const file = path.join(this.APP_DIR, relative)
+
+        if (fs.existsSync(file) && options.force !== true) {
+            throw new Error(`src/app/${relative} already exists (use --force to overwrite)`)
+        }
+
+        const template = fs.readFileSync(path.join(this.STUBS_DIR, `${stub}.stub`), 'utf8')
+        const content = template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => replacements[key] ?? match)
+
+        fs.mkdirSync(path.dirname(file), { recursive: true })
+        fs.writeFileSync(file, content)
+
+        Logger.info('generator', `created src/app/${relative}`)
+        return file
+    }
+
+    // inserts the line after the last one matching the pattern, or at the end of the file
+    static #register(relative, line, pattern) {
+        const file = path.join(this.APP_DIR, relative)
+        const source = fs.readFileSync(file, 'utf8')
+
+        if (source.includes(line)) return
+
+        const matches = [...source.matchAll(pattern)]
+        const last = matches[matches.length - 1]
+        const updated = last ? source.slice(0, last.index + last[0].length) + `\n${line}` + source.slice(last.index + last[0].length) : `${source.trimEnd()}\n\n${line}\n`
+
+        fs.writeFileSync(file, updated)
+        Logger.info('generator', `registered in src/app/${relative}`)
+    }
+
+    static #insertRequire(source, statement) {
+        const requires = [...source.matchAll(/^const .+ = require\(.+\)$/gm)]
+        const last = requires[requires.length - 1]
+
+        if (last) {
+            const end = last.index + last[0].length
+            return source.slice(0, end) + `\n${statement}` + source.slice(end)
+        }
+
+        return source.replace(/^'use strict'\n/, `'use strict'\n\n${statement}\n`)
+    }
+}
@@ -0,0 +1,108 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { STATUS_CODES } = require('http')
+const { HttpException, NotFoundException } = require('@core/exception.core')
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+module.exports = class Handler {
+    static notFound(req, res, next) {
+        next(new NotFoundException(`Cannot ${req.method} ${req.path}`))
+    }
+
+    static handle(err, req, res, next) {
+        const exception = Handler.#database(err) ?? HttpException.from(err)
+
+        Handler.report(exception, req)
+
+        if (res.headersSent) {
+            return next(err)
+        }
+
+        Handler.render(exception, req, res)
+    }
+
+    // a query failing because the server is gone answers 503 and has the connection checked right away
+    static #database(err) {
+        const Database = require('@core/database.core')
+        if (!Database.isConnectionError(err)) return null
+
+        const connection = Database.connectionOf(err)
+
+        Database.check(connection).catch((checkErr) => Logger.error('database', checkErr))
+        return Database.unavailable(connection, err)
+    }
+
+    static report(exception, req) {
+        const context = {
+            status: exception.status,
+            method: req.method,
+            url: req.originalUrl,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+        }
+
+        if (exception.status >= 500 && exception.report) {
+            Logger.error('http', exception.cause ?? exception, { context })
+        } else {
+            Logger.debug('http', `${exception.status} ${exception.message}`, { context })
+        }
+    }
+
+    static render(exception, req, res) {
+        const { status } = exception
+        const production = config.app.production
+        const debug = !production && status >= 500
+        const source = exception.cause instanceof Error ? exception.cause : exception
+
+        const payload = {
+            success: false,
+            message: exception.expose || !production ? exception.message : STATUS_CODES[status],
+        }
+
+        if (exception.errors) payload.errors = exception.errors
+        if (debug) payload.stack = Logger.parseStack(source.stack)
+
+        res.status(status).set(exception.headers)
+
+        if (this.wantsJson(req) || !config.express.view.status) {
+            return res.json(payload)
+        }
+
+        const locals = {
+            status,
+            title: STATUS_CODES[status] || 'Error',
+            message: payload.message,
+            errors: payload.errors || null,
+            stack: debug ? source.stack : null,
+        }
+
+        res.render(this.#view(status), locals, (renderErr, html) => {
+            if (renderErr) {
+                Logger.error('http', renderErr, { context: { view: this.#view(status) } })
+                return res.type('text').send(`${status} ${payload.message}`)
+            }
+
+            res.send(html)
+        })
+    }
+
+    static wantsJson(req) {
+        const prefix = config.express.errors.api_prefix
+
+        if (req.path === prefix || req.path.startsWith(`${prefix}/`)) return true
+        if (req.xhr) return true
+
+        return req.accepts(['html', 'json']) === 'json'
+    }
+
+    // errors/<status>.ejs wins over the generic errors/error.ejs
+    static #view(status) {
+        const { path: viewPath, engine } = config.express.view
+        const specific = path.join(config.express.errors.views, String(status))
+
+        return fs.existsSync(path.join(viewPath, `${specific}.${engine}`)) ? specific : path.join(config.express.errors.views, 'error')
+    }
+}
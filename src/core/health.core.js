@@ -0,0 +1,157 @@
+'use strict'
+
+const crypto = require('crypto')
+const { performance } = require('perf_hooks')
+const Cluster = require('@core/cluster.core')
+const Lifecycle = require('@core/lifecycle.core')
+const Logger = require('@core/logger.core')
+const Metrics = require('@core/metrics.core')
+const { ForbiddenException, UnauthorizedException } = require('@core/exception.core')
+const config = require('@app/config')
+
+// Liveness, readiness and metrics endpoints for orchestrators and Prometheus, see config.monitoring
+module.exports = class Health {
+    static checks = new Map()
+    static #failing = new Set()
+
+    static {
+        this.check('lifecycle', () => {
+            if (Lifecycle.state !== 'ready') throw new Error(`application is ${Lifecycle.state}`)
+        })
+
+        // cluster workers never listen themselves, the primary hands them connections
+        this.check('server', () => {
+            const { instance, closing } = require('@core/server.core')
+            if (!instance || closing || !(instance.listening || Cluster.isWorker)) throw new Error('server is not listening')
+        })
+
+        this.check('socket', () => {
+            if (!require('@core/socket.core').io) throw new Error('socket server is not running')
+        })
+
+        // also notices a lost connection before the next periodic check
+        this.check('database', async () => {
+            const Database = require('@core/database.core')
+            if (!Database.sequelize) throw new Error('database is not initialized')
+
+            await Database.check()
+
+            const down = [...Database.connections.keys()].filter((name) => !Database.available(name))
+            if (down.length > 0) throw new Error(down.map((name) => `${name} connection is ${Database.state(name)}`).join(', '))
+        })
+    }
+
+    // readiness checks throw (or reject) when their dependency is unavailable
+    static check(name, callback) {
+        this.checks.set(name, callback)
+    }
+
+    static liveness() {
+        return { status: 'ok', pid: process.pid, uptime_s: Math.round(process.uptime()) }
+    }
+
+    static async readiness() {
+        const results = await Promise.all([...this.checks].map(([name, callback]) => this.#run(name, callback)))
+        const checks = Object.fromEntries(results)
+
+        return { status: results.every(([, result]) => result.status === 'ok') ? 'ok' : 'fail', checks }
+    }
+
+    static async #run(name, callback) {
+        const start = performance.now()
+        let timer = null
+
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${config.monitoring.timeout}ms`)), config.monitoring.timeout)
+            })
+
+            await Promise.race([callback(), timeout])
+
+            if (this.#failing.delete(name)) Logger.info('health', `${name} check recovered`)
+            return [name, { status: 'ok', duration_ms: Number((performance.now() - start).toFixed(1)) }]
+        } catch (err) {
+            // probes run every few seconds, only the transition is logged
+            if (!this.#failing.has(name)) Logger.warning('health', `${name} check failed: ${err.message}`)
+            this.#failing.add(name)
+
+            return [name, { status: 'fail', duration_ms: Number((performance.now() - start).toFixed(1)), error: config.app.production ? 'unavailable' : err.message }]
+        } finally {
+            clearTimeout(timer)
+        }
+    }
+
+    // --- endpoints ---
+    static mount(app) {
+        const { paths } = config.monitoring
+
+        if (paths.health) {
+            app.get(paths.health, this.protect('health'), (req, res) => res.set('Cache-Control', 'no-store').json(this.liveness()))
+        }
+
+        if (paths.ready) {
+            app.get(paths.ready, this.protect('ready'), async (req, res, next) => {
+                try {
+                    const report = await this.readiness()
+                    res.set('Cache-Control', 'no-store')
+                        .status(report.status === 'ok' ? 200 : 503)
+                        .json(report)
+                } catch (err) {
+                    next(err)
+                }
+            })
+        }
+
+        if (paths.metrics) {
+            app.get(paths.metrics, this.protect('metrics'), async (req, res, next) => {
+                try {
+                    res.set('Cache-Control', 'no-store')
+                        .type('text/plain; version=0.0.4')
+                        .send(await Metrics.render())
+                } catch (err) {
+                    next(err)
+                }
+            })
+        }
+    }
+
+    static LOOPBACK = ['127.0.0.1', '::1']
+
+    // endpoints listed in config.monitoring.protect need an allowed address and/or the bearer token
+    static protect(endpoint) {
+        const { protect, token } = config.monitoring
+        let { allow } = config.monitoring
+
+        if (!protect.includes(endpoint)) return (req, res, next) => next()
+
+        // never public by mistake: until one of them is set, only the host itself can reach it
+        if (!token && allow.length === 0) {
+            Logger.warning('health', `${endpoint} endpoint is protected but has no MONITORING_TOKEN nor allowlist, it only answers loopback clients`)
+            allow = this.LOOPBACK
+        }
+
+        return (req, res, next) => {
+            if (allow.length > 0 && !allow.includes(this.#ip(req))) {
+                return next(new ForbiddenException())
+            }
+
+            if (token && !this.#matches(req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1], token)) {
+                return next(new UnauthorizedException('Invalid monitoring token'))
+            }
+
+            next()
+        }
+    }
+
+    // IPv4 clients of a dual-stack server show up as ::ffff:1.2.3.4
+    static #ip(req) {
+        return req.ip?.replace(/^::ffff:/, '') ?? null
+    }
+
+    static #matches(given, expected) {
+        if (!given) return false
+
+        const hash = (value) => crypto.createHash('sha256').update(value).digest()
+        return crypto.timingSafeEqual(hash(given), hash(expected))
+    }
+}
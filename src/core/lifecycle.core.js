@@ -0,0 +1,116 @@
+'use strict'
+
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+module.exports = class Lifecycle {
+    static hooks = {
+        boot: [],
+        ready: [],
+        shutdown: [],
+    }
+    static state = 'idle'
+    static EXIT_CODES = {
+        failure: 1, // boot failures, refused migrations, forced exits
+        config: 2,
+        uncaughtException: 3,
+        unhandledRejection: 4,
+    }
+    static #sequence = 0
+    static #shutdown = null
+
+    // --- registration ---
+    static onBoot(name, callback, priority = 50) {
+        return this.#register('boot', name, callback, priority)
+    }
+
+    static onReady(name, callback, priority = 50) {
+        return this.#register('ready', name, callback, priority)
+    }
+
+    static onShutdown(name, callback, priority = 50) {
+        return this.#register('shutdown', name, callback, priority)
+    }
+
+    static #register(phase, name, callback, priority) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(`${phase} hook "${name}" must be a function`)
+        }
+
+        this.hooks[phase].push({ name, callback, priority, sequence: this.#sequence++ })
+        this.hooks[phase].sort((a, b) => a.priority - b.priority || a.sequence - b.sequence)
+    }
+
+    // --- execution ---
+    static async boot() {
+        this.state = 'booting'
+        await this.#run('boot')
+    }
+
+    static async ready() {
+        await this.#run('ready')
+        this.state = 'ready'
+        Logger.info('lifecycle', 'application is ready')
+    }
+
+    static async #run(phase, context = {}) {
+        for (const hook of this.hooks[phase]) {
+            Logger.debug('lifecycle', `${phase}: ${hook.name}`)
+
+            if (phase !== 'shutdown') {
+                await hook.callback(context)
+                continue
+            }
+
+            try {
+                await hook.callback(context)
+            } catch (err) {
+                Logger.error('lifecycle', err, { context: { phase, hook: hook.name } })
+            }
+        }
+    }
+
+    static shutdown(reason = 'manual') {
+        if (this.#shutdown) return this.#shutdown
+
+        const { timeout } = config.server.shutdown
+
+        this.#shutdown = (async () => {
+            this.state = 'stopping'
+            Logger.info('lifecycle', `shutting down (${reason}), waiting up to ${timeout}ms for in-flight work`)
+
+            // hooks get the drain timeout, the extra grace only covers closing the remaining resources
+            const guard = setTimeout(() => {
+                Logger.error('lifecycle', 'shutdown did not finish in time, forcing exit')
+                process.exit(process.exitCode || this.EXIT_CODES.failure)
+            }, timeout + 5000)
+            guard.unref()
+
+            await this.#run('shutdown', { reason, timeout })
+
+            clearTimeout(guard)
+            this.state = 'stopped'
+        })()
+
+        return this.#shutdown
+    }
+
+    // shutdown, then exit: handles like the cluster IPC channel would keep the process alive
+    static async terminate(reason) {
+        await this.shutdown(reason)
+        process.exit(process.exitCode ?? 0)
+    }
+
+    static listen() {
+        for (const signal of config.server.shutdown.signals) {
+            process.once(signal, () => {
+                process.once(signal, () => {
+                    Logger.warning('lifecycle', `received ${signal} again, forcing exit`)
+                    process.exit(this.EXIT_CODES.failure)
+                })
+
+                this.terminate(signal)
+            })
+        }
+    }
+}
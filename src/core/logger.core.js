@@ -2,12 +2,31 @@
 const fs = require('fs')
 const path = require('path')
 const util = require('util')
+const Context = require('@core/context.core')
+const ConsoleTransport = require('@core/transports/console.transport')
+const FileTransport = require('@core/transports/file.transport')
+const HttpTransport = require('@core/transports/http.transport')
+const MemoryTransport = require('@core/transports/memory.transport')
+const StreamTransport = require('@core/transports/stream.transport')
+const Transport = require('@core/transports/transport')
 const config = require('@app/config')
 
 module.exports = class Logger {
     static LOG_DIR = path.join(process.cwd(), config.app.log_dir)
-    static MAX_LOG_SIZE = 10 * 1024 * 1024 // 10MB
     static MAX_LOG_FILES = 7 // Keep logs for 7 days
+    static LEVELS = { debug: 0, info: 1, access: 1, log: 2, all: 2, warning: 3, error: 4 }
+    static DEFAULT_LEVEL = 'debug'
+    static Transport = Transport
+    static transportTypes = {
+        console: ConsoleTransport,
+        file: FileTransport,
+        stream: StreamTransport,
+        http: HttpTransport,
+        memory: MemoryTransport,
+    }
+    static transports = []
+    static rotationTimer = null
+    static #windows = new Map()
     static logStats = {
         info: 0,
         debug: 0,
@@ -15,9 +34,15 @@ module.exports = class Logger {
         warning: 0,
         error: 0,
         all: 0,
+        access: 0,
     }
 
     static {
+        this.useTransports(config.logging.transports)
+
+        // last resort for process.exit() calls and crashes that skip the shutdown hooks
+        process.once('exit', () => this.flushSync())
+
         Logger.info('logger', 'preparing logger')
         this.init()
         this.startLogRotation()
@@ -46,43 +71,57 @@ module.exports = class Logger {
     }
 
     static init() {
+        // e.g. the test environment, which only keeps logs in memory
+        if (!this.transports.some((transport) => transport instanceof FileTransport)) return
+
         if (!fs.existsSync(this.LOG_DIR)) {
             fs.mkdirSync(this.LOG_DIR, { recursive: true })
         }
     }
 
-    static timestamp() {
-        const d = new Date()
+    static timestamp(d = new Date()) {
         const pad = (n) => String(n).padStart(2, '0')
         const ms = String(d.getMilliseconds()).padStart(3, '0')
         return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${ms}`
     }
 
-    static todayDir() {
-        const dir = path.join(this.LOG_DIR, new Date().toISOString().slice(0, 10))
-        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true })
-        return dir
+    // --- transports ---
+    // definitions are { type, ...options } for the built-in types, or transport objects
+    static createTransport(definition) {
+        if (typeof definition?.write === 'function') return definition
+
+        const { type, ...options } = definition ?? {}
+        const TransportType = this.transportTypes[type]
+
+        if (!TransportType) {
+            throw new Error(`unknown log transport "${type}"`)
+        }
+
+        return new TransportType(options)
     }
 
-    static writeToFile(type, message) {
-        try {
-            const file = path.join(this.todayDir(), `${type}.log`)
-
-            if (fs.existsSync(file)) {
-                const stats = fs.statSync(file)
-                if (stats.size > this.MAX_LOG_SIZE) {
-                    const timestamp = Date.now()
-                    const rotatedFile = path.join(this.todayDir(), `${type}.${timestamp}.log`)
-                    fs.renameSync(file, rotatedFile)
-                }
-            }
+    static useTransports(definitions) {
+        this.transports = []
 
-            fs.appendFileSync(file, message + '\n', { flag: 'a' })
-        } catch (err) {
-            console.error('Failed to write log:', err.message)
+        for (const definition of definitions) {
+            try {
+                this.addTransport(definition)
+            } catch (err) {
+                console.error('Failed to create log transport:', err.message)
+            }
         }
     }
 
+    static addTransport(definition) {
+        const transport = this.createTransport(definition)
+        this.transports.push(transport)
+        return transport
+    }
+
+    static removeTransport(transport) {
+        this.transports = this.transports.filter((item) => item !== transport)
+    }
+
     static formatValue(value) {
         if (value === null) return 'null'
         if (value === undefined) return 'undefined'
@@ -148,8 +187,11 @@ module.exports = class Logger {
     }
 
     static formatStack(stack, forConsole = true) {
-        const parsed = this.parseStack(stack)
-        if (parsed.length === 0) return ''
+        return this.formatFrames(this.parseStack(stack), forConsole)
+    }
+
+    static formatFrames(parsed, forConsole = true) {
+        if (!parsed || parsed.length === 0) return ''
 
         const lines = parsed.map((item, index) => {
             if (item.raw) {
@@ -169,56 +211,213 @@ module.exports = class Logger {
     }
 
     static record(type, layer, err, options = {}) {
-        this.logStats[type] = (this.logStats[type] || 0) + 1
+        if (this.enabled(type, layer) && this.sample(type, layer)) {
+            this.logStats[type] = (this.logStats[type] || 0) + 1
+            this.dispatch(this.entry(type, layer, err, options), options)
+        }
+    }
 
-        const errorInfo = this.extractErrorInfo(err)
-        const rawMessage = errorInfo.message
-        const header = `${this.timestamp()} | ${type.toUpperCase()} | ${layer.toUpperCase()}`
-        const headerBold = this.bold(header)
+    static dispatch(entry, options = {}) {
+        const lines = new Map()
 
-        let consoleMessage = `${headerBold} | ${rawMessage}`
-        let fileMessage = `${header} | ${rawMessage}`
+        for (const transport of this.transports) {
+            if (!this.accepts(transport, entry) || options.skip?.includes(transport.name)) continue
 
-        if (options.context) {
-            const contextStr = this.formatValue(options.context)
-            consoleMessage += `\n${this.dim('Context:')} ${contextStr}`
-            fileMessage += `\nContext: ${contextStr}`
+            const format = transport.format ?? config.logging.format
+            const key = `${format}:${Boolean(transport.colors)}`
+
+            if (!lines.has(key)) {
+                lines.set(key, this.format(entry, { format, colors: transport.colors }))
+            }
+
+            try {
+                transport.write(lines.get(key), entry)
+            } catch (e) {
+                console.error(`Failed to write log to ${transport.name ?? 'transport'}:`, e.message)
+            }
         }
+    }
 
-        if (type === 'error' && errorInfo.name) {
-            const errorType = `[${errorInfo.name}]`
-            consoleMessage = `${headerBold} ${this.colorize('error', errorType)} | ${rawMessage}`
-            fileMessage = `${header} ${errorType} | ${rawMessage}`
+    // --- filtering ---
+    // access lines have their own switch (see AccessLog) and only answer to the transport levels
+    // an unknown level falls back to the default one instead of dropping every entry, Config.validate() reports it
+    static enabled(type, layer) {
+        if (type === 'access') return true
 
-            if (errorInfo.code) {
-                consoleMessage += `\n${this.dim('Code:')} ${errorInfo.code}`
-                fileMessage += `\nCode: ${errorInfo.code}`
+        const minimum = this.LEVELS[config.logging.layers[layer]] ?? this.LEVELS[config.logging.level] ?? this.LEVELS[this.DEFAULT_LEVEL]
+        return this.LEVELS[type] >= minimum
+    }
+
+    // config.logging.sampling, warnings and errors always pass
+    static sample(type, layer) {
+        const rule = config.logging.sampling[layer]
+        if (!rule || this.LEVELS[type] >= this.LEVELS.warning) return true
+
+        if (rule.rate !== undefined && Math.random() >= rule.rate) return false
+        if (!rule.limit) return true
+
+        const interval = rule.interval ?? 1000
+        const now = Date.now()
+        let window = this.#windows.get(layer)
+
+        if (!window || now - window.start >= interval) {
+            // reported with the first entry of the next window
+            if (window?.dropped) {
+                this.record('warning', layer, `${window.dropped} entries dropped by the rate limit (${rule.limit} per ${interval}ms)`)
             }
+
+            window = { start: now, count: 0, dropped: 0 }
+            this.#windows.set(layer, window)
         }
 
-        if (errorInfo.stack && (type === 'error' || options.trace)) {
-            const stackForConsole = this.formatStack(errorInfo.stack, true)
-            const stackForFile = this.formatStack(errorInfo.stack, false)
+        if (window.count >= rule.limit) {
+            window.dropped++
+            return false
+        }
+
+        window.count++
+        return true
+    }
+
+    // copies the value with the keys of config.logging.redact masked, cycles are kept as they are
+    static redact(value, { keys = config.logging.redact.keys, censor = config.logging.redact.censor } = {}) {
+        if (keys.length === 0) return value
+
+        const seen = new WeakMap()
+        const walk = (item, path) => {
+            if (item === null || typeof item !== 'object' || item instanceof Date || Buffer.isBuffer(item)) return item
+            if (seen.has(item)) return seen.get(item)
+            if (path.length >= 10) return '[Truncated]'
+
+            // errors carry their message, models and similar objects their serialized form
+            const source = item instanceof Error ? { name: item.name, message: item.message, ...item } : typeof item.toJSON === 'function' ? item.toJSON() : item
 
-            if (stackForConsole) {
-                consoleMessage += this.colorize(type, stackForConsole)
-                fileMessage += stackForFile
+            if (source === null || typeof source !== 'object') return source
+
+            const copy = Array.isArray(source) ? [] : {}
+            seen.set(item, copy)
+
+            for (const [key, child] of Object.entries(source)) {
+                const childPath = [...path, key]
+                copy[key] = this.#masks(keys, key, childPath) ? censor : walk(child, childPath)
             }
+
+            return copy
+        }
+
+        return walk(value, [])
+    }
+
+    // "password" matches the key at any depth, "user.password" the end of the path, patterns the key
+    static #masks(keys, key, path) {
+        return keys.some((rule) => {
+            if (rule instanceof RegExp) return rule.test(key)
+            if (!rule.includes('.')) return rule.toLowerCase() === key.toLowerCase()
+
+            const segments = rule.toLowerCase().split('.')
+            const tail = path.slice(-segments.length).map((segment) => segment.toLowerCase())
+
+            return tail.length === segments.length && segments.every((segment, i) => segment === '*' || segment === tail[i])
+        })
+    }
+
+    static entry(type, layer, err, options = {}) {
+        const errorInfo = this.extractErrorInfo(err)
+        const entry = {
+            timestamp: new Date(),
+            level: type,
+            layer,
+            message: errorInfo.message,
         }
 
-        this.writeToFile(type, fileMessage)
+        if (type === 'error' && errorInfo.name) {
+            entry.error = { name: errorInfo.name, code: errorInfo.code }
+        }
 
-        this.writeToFile('all', fileMessage)
+        if (options.context) {
+            entry.context = this.redact(options.context)
+        }
 
-        const shouldLog = !config.app.production || !['error', 'warning'].includes(type)
+        const request = this.request()
+        if (request) {
+            entry.request = request
+        }
 
-        if (shouldLog) {
-            console.log(this.colorize(type, consoleMessage))
+        if (errorInfo.stack && (type === 'error' || options.trace)) {
+            entry.stack = this.parseStack(errorInfo.stack)
         }
 
-        if (!config.app.production && type === 'error' && !options.noThrow) {
-            throw err instanceof Error ? err : new Error(err)
+        return entry
+    }
+
+    // the HTTP request or socket event being handled, see Context
+    static request() {
+        const store = Context.get()
+        if (!store) return null
+
+        const { startedAt, userId, ...scope } = store
+        return { ...scope, user_id: userId, elapsed_ms: Number(Context.elapsed().toFixed(1)) }
+    }
+
+    static accepts(transport, entry) {
+        return this.LEVELS[entry.level] >= (this.LEVELS[transport.level] ?? 0)
+    }
+
+    // --- formats ---
+    static format(entry, { format = config.logging.format, colors = false } = {}) {
+        return format === 'json' ? this.json(entry) : this.text(entry, colors)
+    }
+
+    static text(entry, colors = false) {
+        if (entry.level === 'access') {
+            return entry.message
         }
+
+        const { level, layer, message, error, context, request, stack } = entry
+        const header = `${this.timestamp(entry.timestamp)} | ${level.toUpperCase()} | ${layer.toUpperCase()}`
+        const label = error ? ` ${colors ? this.colorize('error', `[${error.name}]`) : `[${error.name}]`}` : ''
+
+        let line = `${colors ? this.bold(header) : header}${label} | ${message}`
+
+        // e.g. [9f1c... GET /api/auth/me user=1 +12.3ms]
+        if (request) {
+            const { id, user_id, elapsed_ms, ...scope } = request
+            const parts = [id, ...Object.values(scope), user_id === null ? null : `user=${user_id}`, `+${elapsed_ms}ms`].filter((part) => part !== null)
+
+            line += ` ${colors ? this.dim(`[${parts.join(' ')}]`) : `[${parts.join(' ')}]`}`
+        }
+
+        if (error?.code) {
+            line += `\n${colors ? this.dim('Code:') : 'Code:'} ${error.code}`
+        }
+
+        if (context) {
+            line += `\n${colors ? this.dim('Context:') : 'Context:'} ${this.formatValue(context)}`
+        }
+
+        const frames = this.formatFrames(stack, colors)
+        if (frames) {
+            line += colors ? this.colorize(level, frames) : frames
+        }
+
+        return colors ? this.colorize(level, line) : line
+    }
+
+    // one JSON object per line, safe for circular references and BigInt values
+    static json(entry) {
+        const seen = new WeakSet()
+
+        return JSON.stringify({ ...entry, timestamp: entry.timestamp.toISOString() }, (key, value) => {
+            if (typeof value === 'bigint') return value.toString()
+            if (value instanceof Error) return { name: value.name, message: value.message, code: value.code }
+
+            if (value !== null && typeof value === 'object') {
+                if (seen.has(value)) return '[Circular]'
+                seen.add(value)
+            }
+
+            return value
+        })
     }
 
     static info(layer, message, options) {
@@ -249,6 +448,11 @@ module.exports = class Logger {
         this.record('all', layer, message, options)
     }
 
+    // access lines are already complete (see AccessLog), so text formats write them as they are
+    static access(layer, message, options) {
+        this.record('access', layer, message, options)
+    }
+
     static trace(layer, message) {
         const err = new Error(message)
         this.record('debug', layer, err, { trace: true })
@@ -266,7 +470,7 @@ module.exports = class Logger {
     static table(layer, data) {
         if (Array.isArray(data) && data.length > 0) {
             console.table(data)
-            this.writeToFile('log', `${this.timestamp()} | TABLE | ${layer.toUpperCase()}\n${JSON.stringify(data, null, 2)}`)
+            this.record('log', layer, 'table', { context: data, skip: ['console'] })
         }
     }
 
@@ -281,15 +485,33 @@ module.exports = class Logger {
     }
 
     static startLogRotation() {
-        setInterval(
+        this.rotationTimer = setInterval(
             () => {
                 this.cleanOldLogs()
             },
             24 * 60 * 60 * 1000,
         )
+        this.rotationTimer.unref()
+    }
+
+    static stopLogRotation() {
+        clearInterval(this.rotationTimer)
+        this.rotationTimer = null
+    }
+
+    static async flush() {
+        await Promise.all(this.transports.map((transport) => transport.flush?.()))
+    }
+
+    static flushSync() {
+        for (const transport of this.transports) {
+            transport.flushSync?.()
+        }
     }
 
     static cleanOldLogs() {
+        if (!fs.existsSync(this.LOG_DIR)) return
+
         try {
             const dirs = fs.readdirSync(this.LOG_DIR)
             const now = Date.now()
@@ -0,0 +1,239 @@
+'use strict'
+
+const { monitorEventLoopDelay } = require('perf_hooks')
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+// one series per label combination, keyed by the label values in declaration order
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type
+        this.name = name
+        this.help = help
+        this.labelNames = labelNames
+        this.series = new Map()
+    }
+
+    key(labels) {
+        return JSON.stringify(this.labelNames.map((name) => String(labels[name] ?? '')))
+    }
+
+    labels(labels, extra = {}) {
+        const pairs = [...this.labelNames.map((name) => [name, labels[name] ?? '']), ...Object.entries(extra)]
+        return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}` : ''
+    }
+
+    // gauges, and counters mirrored from elsewhere such as Logger.stats()
+    set(labels = {}, value = 0) {
+        this.series.set(this.key(labels), { labels, value })
+    }
+
+    reset() {
+        this.series.clear()
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${this.labels(labels)} ${value}`)
+        }
+
+        return lines.join('\n')
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames)
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.key(labels)
+        const series = this.series.get(key) ?? { labels, value: 0 }
+
+        series.value += value
+        this.series.set(key, series)
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames)
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = config.monitoring.buckets) {
+        super('histogram', name, help, labelNames)
+        this.buckets = [...buckets].sort((a, b) => a - b)
+    }
+
+    observe(labels = {}, value = 0) {
+        const key = this.key(labels)
+        const series = this.series.get(key) ?? { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+
+        this.buckets.forEach((bucket, i) => {
+            if (value <= bucket) series.counts[i]++
+        })
+        series.sum += value
+        series.count++
+        this.series.set(key, series)
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bucket, i) => lines.push(`${this.name}_bucket${this.labels(labels, { le: bucket })} ${counts[i]}`))
+            lines.push(`${this.name}_bucket${this.labels(labels, { le: '+Inf' })} ${count}`)
+            lines.push(`${this.name}_sum${this.labels(labels)} ${sum}`)
+            lines.push(`${this.name}_count${this.labels(labels)} ${count}`)
+        }
+
+        return lines.join('\n')
+    }
+}
+
+// Metrics in the Prometheus text format. Values that are cheap to read (socket connections, pool usage,
+// event loop lag, log counters) are refreshed by collectors when /metrics is scraped.
+module.exports = class Metrics {
+    static Counter = Counter
+    static Gauge = Gauge
+    static Histogram = Histogram
+    static registry = new Map()
+    static collectors = []
+    static #loop = monitorEventLoopDelay({ resolution: 10 })
+
+    static {
+        this.#loop.enable()
+
+        this.counter('http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status'])
+        this.histogram('http_request_duration_seconds', 'HTTP request latency by method and route', ['method', 'route'])
+
+        this.collect(() => this.#process())
+        this.collect(() => this.#eventLoop())
+        this.collect(() => this.#logs())
+        this.collect(() => this.#sockets())
+        this.collect(() => this.#pool())
+    }
+
+    static counter(name, help, labelNames) {
+        return this.#register(name, () => new Counter(name, help, labelNames))
+    }
+
+    static gauge(name, help, labelNames) {
+        return this.#register(name, () => new Gauge(name, help, labelNames))
+    }
+
+    static histogram(name, help, labelNames, buckets) {
+        return this.#register(name, () => new Histogram(name, help, labelNames, buckets))
+    }
+
+    static get(name) {
+        return this.registry.get(name)
+    }
+
+    // callbacks run before every render to refresh gauges
+    static collect(callback) {
+        this.collectors.push(callback)
+    }
+
+    static #register(name, create) {
+        if (!this.registry.has(name)) this.registry.set(name, create())
+        return this.registry.get(name)
+    }
+
+    static async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector()
+            } catch (err) {
+                Logger.error('metrics', err)
+            }
+        }
+
+        return [...this.registry.values()].map((metric) => metric.render()).join('\n') + '\n'
+    }
+
+    // labelled by route pattern so ids do not create new series, mounted after the monitoring endpoints so probes are not counted
+    static middleware() {
+        return (req, res, next) => {
+            const start = process.hrtime.bigint()
+
+            res.once('finish', () => {
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched'
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9
+
+                this.get('http_requests_total').inc({ method: req.method, route, status: res.statusCode })
+                this.get('http_request_duration_seconds').observe({ method: req.method, route }, seconds)
+            })
+
+            next()
+        }
+    }
+
+    // --- built-in collectors ---
+    static #process() {
+        const memory = process.memoryUsage()
+
+        this.gauge('process_uptime_seconds', 'Process uptime').set({}, Math.round(process.uptime()))
+        this.gauge('process_resident_memory_bytes', 'Resident memory size').set({}, memory.rss)
+        this.gauge('nodejs_heap_used_bytes', 'V8 heap in use').set({}, memory.heapUsed)
+    }
+
+    // lag since the previous scrape
+    static #eventLoop() {
+        const lag = this.gauge('nodejs_eventloop_lag_seconds', 'Event loop delay since the previous scrape', ['quantile'])
+
+        for (const quantile of [0.5, 0.9, 0.99]) {
+            lag.set({ quantile }, this.#loop.percentile(quantile * 100) / 1e9)
+        }
+
+        this.gauge('nodejs_eventloop_lag_max_seconds', 'Longest event loop delay since the previous scrape').set({}, this.#loop.max / 1e9)
+        this.#loop.reset()
+    }
+
+    static #logs() {
+        const entries = this.counter('log_entries_total', 'Log entries by level, see Logger.stats()', ['level'])
+
+        for (const [level, count] of Object.entries(Logger.stats())) {
+            entries.set({ level }, count)
+        }
+    }
+
+    static #sockets() {
+        const { io, namespaces } = require('@core/socket.core')
+        const connections = this.gauge('socketio_connections', 'Connected Socket.IO clients by namespace', ['namespace'])
+
+        connections.reset()
+        if (!io) return
+
+        for (const name of ['/', ...namespaces.keys()]) {
+            connections.set({ namespace: name }, io.of(name).sockets.size)
+        }
+    }
+
+    // per connection, replicated connections have one pool for reads and one for writes, sqlite has none
+    static #pool() {
+        const gauge = this.gauge('sequelize_pool_connections', 'Sequelize pool connections by connection, pool and state', ['connection', 'pool', 'state'])
+
+        gauge.reset()
+
+        for (const [connection, sequelize] of require('@core/database.core').connections) {
+            const pool = sequelize.connectionManager?.pool
+            if (!pool) continue
+
+            const pools = pool.read && pool.write ? { read: pool.read, write: pool.write } : { default: pool }
+
+            for (const [name, item] of Object.entries(pools)) {
+                gauge.set({ connection, pool: name, state: 'in_use' }, item.using)
+                gauge.set({ connection, pool: name, state: 'idle' }, item.available)
+                gauge.set({ connection, pool: name, state: 'waiting' }, item.waiting)
+                gauge.set({ connection, pool: name, state: 'max' }, item.maxSize)
+            }
+        }
+    }
+}
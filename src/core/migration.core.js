@@ -0,0 +1,209 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { Sequelize } = require('sequelize')
+const Database = require('@core/database.core')
+const Logger = require('@core/logger.core')
+
+// Each connection has its own migrations directory and table (config.database.migrations, or the `migrations`
+// of a named connection), connection defaults to the default one
+module.exports = class Migration {
+    static SEEDERS_DIR = path.join(process.cwd(), 'src/app/database/seeders')
+
+    static #options(connection) {
+        const options = Database.definitions().get(connection)
+
+        if (!options) {
+            throw new Error(`unknown database connection "${connection}"`)
+        }
+
+        return options.migrations
+    }
+
+    static #dir(connection) {
+        const { dir } = this.#options(connection)
+        return dir ? path.resolve(process.cwd(), dir) : null
+    }
+
+    static #table(connection) {
+        return this.#options(connection).table
+    }
+
+    static #queryInterface(connection) {
+        return Database.connection(connection).getQueryInterface()
+    }
+
+    // " on the reporting connection", nothing for the default one
+    static #on(connection) {
+        return connection === Database.DEFAULT ? '' : ` on the ${connection} connection`
+    }
+
+    // --- migrations ---
+    static files(connection = Database.DEFAULT) {
+        const dir = this.#dir(connection)
+        if (!dir || !fs.existsSync(dir)) return []
+
+        return fs
+            .readdirSync(dir)
+            .filter((file) => file.endsWith('.js'))
+            .sort()
+            .map((file) => file.replace(/\.js$/, ''))
+    }
+
+    // reads only: without its table nothing was applied, the table is created by migrate()
+    static async applied(connection = Database.DEFAULT) {
+        const queryInterface = this.#queryInterface(connection)
+        if (!(await queryInterface.tableExists(this.#table(connection)))) return []
+
+        return queryInterface.select(null, this.#table(connection), { order: [['id', 'ASC']] })
+    }
+
+    static async pending(connection = Database.DEFAULT) {
+        const applied = new Set((await this.applied(connection)).map((row) => row.name))
+        return this.files(connection).filter((name) => !applied.has(name))
+    }
+
+    static async status(connection = Database.DEFAULT) {
+        const files = this.files(connection)
+        const applied = new Map((await this.applied(connection)).map((row) => [row.name, row]))
+        const names = [...new Set([...files, ...applied.keys()])].sort()
+
+        // "missing" marks migrations recorded in the table whose file no longer exists
+        return names.map((name) => ({
+            name,
+            status: !applied.has(name) ? 'pending' : files.includes(name) ? 'applied' : 'missing',
+            batch: applied.get(name)?.batch ?? null,
+            migrated_at: applied.get(name)?.migrated_at ?? null,
+        }))
+    }
+
+    // without a connection, every connection is migrated, the default one first
+    static async migrate({ connection } = {}) {
+        if (!connection) {
+            const migrated = []
+
+            for (const name of Database.connections.keys()) {
+                migrated.push(...(await this.migrate({ connection: name })))
+            }
+
+            return migrated
+        }
+
+        const pending = await this.pending(connection)
+
+        if (pending.length === 0) {
+            Logger.info('migration', `nothing to migrate${this.#on(connection)}`)
+            return []
+        }
+
+        await this.#ensureTable(connection)
+
+        const applied = await this.applied(connection)
+        const batch = Math.max(0, ...applied.map((row) => row.batch)) + 1
+
+        for (const name of pending) {
+            await this.#run(connection, name, 'up', async (transaction) => {
+                await this.#queryInterface(connection).bulkInsert(this.#table(connection), [{ name, batch, migrated_at: new Date() }], { transaction })
+            })
+        }
+
+        Logger.info('migration', `${pending.length} migration(s) applied in batch ${batch}${this.#on(connection)}`)
+        return pending
+    }
+
+    static async rollback({ step, connection = Database.DEFAULT } = {}) {
+        const applied = await this.applied(connection)
+
+        if (applied.length === 0) {
+            Logger.info('migration', `nothing to roll back${this.#on(connection)}`)
+            return []
+        }
+
+        // without --step the whole last batch is rolled back
+        const lastBatch = applied[applied.length - 1].batch
+        const targets = (step ? applied.slice(-step) : applied.filter((row) => row.batch === lastBatch)).reverse()
+
+        for (const { name } of targets) {
+            await this.#run(connection, name, 'down', async (transaction) => {
+                await this.#queryInterface(connection).bulkDelete(this.#table(connection), { name }, { transaction })
+            })
+        }
+
+        Logger.info('migration', `${targets.length} migration(s) rolled back${this.#on(connection)}`)
+        return targets.map((row) => row.name)
+    }
+
+    static async #run(connection, name, direction, record) {
+        const file = path.join(this.#dir(connection) ?? '', `${name}.js`)
+
+        if (!fs.existsSync(file)) {
+            throw new Error(`migration file ${name}.js not found`)
+        }
+
+        const migration = require(file)
+
+        if (typeof migration[direction] !== 'function') {
+            throw new Error(`migration ${name} does not export ${direction}()`)
+        }
+
+        Logger.info('migration', `${direction === 'up' ? 'migrating' : 'rolling back'}: ${name}${this.#on(connection)}`)
+
+        await Database.transaction(async (transaction) => {
+            await migration[direction](this.#context(transaction, connection))
+            await record(transaction)
+        }, connection)
+    }
+
+    static async #ensureTable(connection) {
+        const queryInterface = this.#queryInterface(connection)
+        if (await queryInterface.tableExists(this.#table(connection))) return
+
+        await queryInterface.createTable(this.#table(connection), {
+            id: { type: Sequelize.DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            name: { type: Sequelize.DataTypes.STRING(255), allowNull: false, unique: true },
+            batch: { type: Sequelize.DataTypes.INTEGER, allowNull: false },
+            migrated_at: { type: Sequelize.DataTypes.DATE, allowNull: false },
+        })
+    }
+
+    // --- seeders ---
+    static seeders() {
+        if (!fs.existsSync(this.SEEDERS_DIR)) return []
+
+        return fs
+            .readdirSync(this.SEEDERS_DIR)
+            .filter((file) => file.endsWith('.seeder.js'))
+            .sort()
+            .map((file) => file.replace(/\.seeder\.js$/, ''))
+    }
+
+    static async seed(only) {
+        const names = only ? [only] : this.seeders()
+
+        for (const name of names) {
+            const file = path.join(this.SEEDERS_DIR, `${name}.seeder.js`)
+
+            if (!fs.existsSync(file)) {
+                throw new Error(`seeder ${name}.seeder.js not found`)
+            }
+
+            Logger.info('migration', `seeding: ${name}`)
+            await Database.transaction((transaction) => require(file).run(this.#context(transaction)))
+        }
+
+        Logger.info('migration', `${names.length} seeder(s) completed`)
+        return names
+    }
+
+    static #context(transaction, connection = Database.DEFAULT) {
+        return {
+            queryInterface: this.#queryInterface(connection),
+            sequelize: Database.connection(connection),
+            DataTypes: Sequelize.DataTypes,
+            Sequelize,
+            models: Database.models,
+            transaction,
+        }
+    }
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Cluster = require('@core/cluster.core')
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+// Default presence store, local to the process: single-process only, cluster workers and instances do not
+// see each other's connections. A shared store (Redis, database, ...) implements the same async methods
+// so counts stay correct across them: add, remove, count, users.
+class MemoryPresenceStore {
+    #connections = new Map()
+
+    async add(userId, connectionId) {
+        const key = String(userId)
+        if (!this.#connections.has(key)) this.#connections.set(key, new Set())
+
+        this.#connections.get(key).add(connectionId)
+        return this.#connections.get(key).size
+    }
+
+    async remove(userId, connectionId) {
+        const key = String(userId)
+        const connections = this.#connections.get(key)
+        if (!connections) return 0
+
+        connections.delete(connectionId)
+        if (connections.size === 0) this.#connections.delete(key)
+
+        return connections.size
+    }
+
+    async count(userId) {
+        return this.#connections.get(String(userId))?.size ?? 0
+    }
+
+    async users() {
+        return [...this.#connections.keys()]
+    }
+}
+
+module.exports = class Presence {
+    static MemoryPresenceStore = MemoryPresenceStore
+    static store = new MemoryPresenceStore()
+    static events = new EventEmitter()
+    static #pending = new Map()
+
+    static useStore(store) {
+        this.store = store
+    }
+
+    // called once the socket handlers are registered, they may have plugged a shared store
+    static init() {
+        if (Cluster.isWorker && this.store instanceof MemoryPresenceStore) {
+            Logger.warning('presence', 'the in-memory presence store is per process: with cluster enabled each worker only counts its own connections, plug a shared one with Presence.useStore()')
+        }
+    }
+
+    static on(event, listener) {
+        this.events.on(event, listener)
+    }
+
+    static async connect(userId, connectionId) {
+        const count = await this.store.add(userId, connectionId)
+
+        // reconnecting inside the offline delay cancels the transition, nobody saw the user leave
+        if (this.#pending.has(String(userId))) {
+            clearTimeout(this.#pending.get(String(userId)))
+            this.#pending.delete(String(userId))
+            return count
+        }
+
+        if (count === 1) {
+            this.#emit('online', userId)
+        }
+
+        return count
+    }
+
+    static async disconnect(userId, connectionId) {
+        const count = await this.store.remove(userId, connectionId)
+
+        if (count === 0 && !this.#pending.has(String(userId))) {
+            const timer = setTimeout(() => this.#settle(userId), config.socket.presence.offline_delay)
+            timer.unref()
+            this.#pending.set(String(userId), timer)
+        }
+
+        return count
+    }
+
+    static async isOnline(userId) {
+        return this.#pending.has(String(userId)) || (await this.store.count(userId)) > 0
+    }
+
+    static async list() {
+        return [...new Set([...(await this.store.users()), ...this.#pending.keys()])]
+    }
+
+    // binds presence to a socket whose user was resolved by the handshake
+    static async track(socket) {
+        const userId = socket.data.user.id
+
+        socket.on('disconnect', () => {
+            this.disconnect(userId, socket.id).catch((err) => Logger.error('presence', err, { context: { user: userId } }))
+        })
+
+        await this.connect(userId, socket.id)
+    }
+
+    static close() {
+        for (const timer of this.#pending.values()) {
+            clearTimeout(timer)
+        }
+
+        this.#pending.clear()
+    }
+
+    static async #settle(userId) {
+        this.#pending.delete(String(userId))
+
+        try {
+            // another tab or instance may have connected in the meantime
+            if ((await this.store.count(userId)) === 0) {
+                this.#emit('offline', userId)
+            }
+        } catch (err) {
+            Logger.error('presence', err, { context: { user: userId } })
+        }
+    }
+
+    static #emit(event, userId) {
+        Logger.debug('presence', `user ${userId} is ${event}`)
+        this.events.emit(event, userId)
+    }
+}
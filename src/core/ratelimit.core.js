@@ -0,0 +1,240 @@
+'use strict'
+
+const proxyaddr = require('proxy-addr')
+const Logger = require('@core/logger.core')
+const { TooManyRequestsException } = require('@core/exception.core')
+const config = require('@app/config')
+
+// Default rate-limit store, local to the process. Shared stores (Redis, ...) implement the same async
+// methods, each one atomically (e.g. as a Lua script): increment, consume, reset.
+class MemoryRateLimitStore {
+    #entries = new Map()
+    #writes = 0
+
+    // fixed window: hits counted until the window ends, a negative amount refunds
+    async increment(key, window, amount = 1) {
+        const now = Date.now()
+        let entry = this.#entries.get(key)
+
+        if (!entry || entry.expiresAt <= now) {
+            entry = { count: 0, expiresAt: now + window }
+            this.#entries.set(key, entry)
+        }
+
+        entry.count = Math.max(0, entry.count + amount)
+        this.#sweep(now)
+
+        return { count: entry.count, resetAt: entry.expiresAt }
+    }
+
+    // token bucket: up to `capacity` tokens, refilled at `rate` tokens per millisecond, a negative cost refunds
+    async consume(key, capacity, rate, cost = 1) {
+        const now = Date.now()
+        const entry = this.#entries.get(key)
+        const available = entry ? Math.min(capacity, entry.tokens + (now - entry.updatedAt) * rate) : capacity
+        const allowed = available >= cost
+        const tokens = allowed ? Math.min(capacity, available - cost) : available
+
+        // a full bucket is the same as no bucket, so it expires once refilled
+        this.#entries.set(key, { tokens, updatedAt: now, expiresAt: now + (capacity - tokens) / rate })
+        this.#sweep(now)
+
+        return { allowed, tokens }
+    }
+
+    async reset(key) {
+        this.#entries.delete(key)
+    }
+
+    #sweep(now) {
+        if (++this.#writes % 100 !== 0) return
+
+        for (const [key, entry] of this.#entries) {
+            if (entry.expiresAt <= now) this.#entries.delete(key)
+        }
+    }
+}
+
+// Limiters are named in config.rate_limit.limiters or given inline:
+// { algorithm: 'fixed-window' | 'token-bucket', limit, window, burst, key: 'ip' | 'user' | (req | socket) => string, skip_successful, message }
+module.exports = class RateLimit {
+    static MemoryRateLimitStore = MemoryRateLimitStore
+    static store = new MemoryRateLimitStore()
+    static #resolved = new WeakSet()
+    static #inline = new WeakMap()
+    static #sequence = 0
+
+    static useStore(store) {
+        this.store = store
+    }
+
+    static limiter(definition) {
+        if (this.#resolved.has(definition)) return definition
+
+        // inline limiters without a name get one, so two of them never share counters
+        if (typeof definition !== 'string') {
+            if (!this.#inline.has(definition)) this.#inline.set(definition, this.#resolve(`inline-${++this.#sequence}`, definition))
+            return this.#inline.get(definition)
+        }
+
+        const options = config.rate_limit.limiters[definition]
+
+        if (!options) {
+            throw new Error(`unknown rate limiter "${definition}"`)
+        }
+
+        return this.#resolve(definition, options)
+    }
+
+    static #resolve(name, options) {
+        const limiter = { name, algorithm: 'fixed-window', key: 'ip', ...options }
+
+        this.#resolved.add(limiter)
+        return limiter
+    }
+
+    // { allowed, limit, window, remaining, resetAt, retryAfter } where retryAfter is in seconds
+    // a token bucket's quota is its capacity, over the time an empty bucket takes to refill
+    static async hit(definition, key, cost = 1) {
+        const limiter = this.limiter(definition)
+        const id = `ratelimit:${limiter.name}:${key}`
+        const now = Date.now()
+
+        if (limiter.algorithm === 'token-bucket') {
+            const capacity = limiter.burst ?? limiter.limit
+            const rate = limiter.limit / limiter.window
+            const { allowed, tokens } = await this.store.consume(id, capacity, rate, cost)
+
+            return {
+                allowed,
+                limit: capacity,
+                window: Math.ceil(capacity / rate),
+                remaining: Math.floor(tokens),
+                resetAt: now + Math.ceil((capacity - tokens) / rate),
+                retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / rate / 1000),
+            }
+        }
+
+        const { count, resetAt } = await this.store.increment(id, limiter.window, cost)
+        const allowed = count <= limiter.limit
+
+        return { allowed, limit: limiter.limit, window: limiter.window, remaining: Math.max(0, limiter.limit - count), resetAt, retryAfter: allowed ? 0 : Math.ceil((resetAt - now) / 1000) }
+    }
+
+    static async refund(definition, key) {
+        const limiter = this.limiter(definition)
+        const id = `ratelimit:${limiter.name}:${key}`
+
+        if (limiter.algorithm === 'token-bucket') {
+            return this.store.consume(id, limiter.burst ?? limiter.limit, limiter.limit / limiter.window, -1)
+        }
+
+        return this.store.increment(id, limiter.window, -1)
+    }
+
+    static async reset(definition, key) {
+        await this.store.reset(`ratelimit:${this.limiter(definition).name}:${key}`)
+    }
+
+    // key of an HTTP request or a socket: its client address, its user (guests fall back to the address) or a custom one
+    static key(definition, source) {
+        const limiter = this.limiter(definition)
+
+        if (typeof limiter.key === 'function') return String(limiter.key(source))
+
+        const user = source.handshake ? source.data.user : source.user
+        if (limiter.key === 'user' && user?.id) return `user:${user.id}`
+
+        return `ip:${this.#ip(source)}`
+    }
+
+    // sockets bypass Express, so the "trust proxy" setting is applied by hand
+    static #ip(source) {
+        if (!source.handshake) return source.ip
+
+        return proxyaddr(source.request, require('@core/express.core').app.get('trust proxy fn'))
+    }
+
+    // --- HTTP ---
+    static middleware(definition) {
+        const limiter = this.limiter(definition)
+
+        const middleware = async (req, res, next) => {
+            if (!config.rate_limit.enabled) return next()
+
+            let key, result
+
+            // a failing shared store lets requests through rather than taking the application down
+            try {
+                key = this.key(limiter, req)
+                result = await this.hit(limiter, key)
+            } catch (err) {
+                Logger.error('ratelimit', err, { context: { limiter: limiter.name } })
+                return next()
+            }
+
+            if (config.rate_limit.headers) this.#headers(res, result)
+
+            if (!result.allowed) {
+                Logger.info('ratelimit', `${limiter.name}: ${key} is rate limited for ${result.retryAfter}s`)
+                return next(new TooManyRequestsException(limiter.message, { headers: { 'Retry-After': String(result.retryAfter) } }))
+            }
+
+            // brute-force protection: only failed attempts count
+            if (limiter.skip_successful) {
+                res.once('finish', () => {
+                    if (res.statusCode < 400) this.refund(limiter, key).catch((err) => Logger.error('ratelimit', err))
+                })
+            }
+
+            next()
+        }
+
+        Object.defineProperty(middleware, 'name', { value: `ratelimit:${limiter.name}` })
+        return middleware
+    }
+
+    // e.g. RateLimit-Limit: 5, RateLimit-Remaining: 4, RateLimit-Reset: 900, RateLimit-Policy: 5;w=900
+    static #headers(res, result) {
+        const reset = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000))
+
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(reset),
+            'RateLimit-Policy': `${result.limit};w=${Math.ceil(result.window / 1000)}`,
+        })
+    }
+
+    // --- Socket.IO ---
+    // namespace middleware for handshakes, the client gets a connect_error with err.data.retry_after
+    static handshake(definition) {
+        const limiter = this.limiter(definition)
+
+        return async (socket, next) => {
+            const result = await this.attempt(limiter, socket)
+            if (result.allowed) return next()
+
+            const err = new Error('too many requests')
+            err.data = { retry_after: result.retryAfter }
+            next(err)
+        }
+    }
+
+    // for socket events, see Socket.#dispatch
+    static async attempt(definition, socket) {
+        const limiter = this.limiter(definition)
+        if (!config.rate_limit.enabled) return { allowed: true }
+
+        try {
+            const key = this.key(limiter, socket)
+            const result = await this.hit(limiter, key)
+
+            if (!result.allowed) Logger.info('ratelimit', `${limiter.name}: ${key} is rate limited for ${result.retryAfter}s`, { context: { namespace: socket.nsp.name } })
+            return result
+        } catch (err) {
+            Logger.error('ratelimit', err, { context: { limiter: limiter.name } })
+            return { allowed: true }
+        }
+    }
+}
@@ -0,0 +1,411 @@
+'use strict'
+
+const qs = require('qs')
+const { Op, literal } = require('sequelize')
+const Database = require('@core/database.core')
+const { NotFoundException, ValidationException } = require('@core/exception.core')
+const config = require('@app/config')
+
+const OPERATORS = {
+    eq: Op.eq,
+    ne: Op.ne,
+    gt: Op.gt,
+    gte: Op.gte,
+    lt: Op.lt,
+    lte: Op.lte,
+    in: Op.in,
+    nin: Op.notIn,
+    like: Op.like,
+    null: Op.is,
+}
+
+// a backslash would need escaping itself in MySQL string literals but not in SQLite or PostgreSQL
+const LIKE_ESCAPE = '!'
+
+const INTEGER_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'MEDIUMINT', 'TINYINT']
+const NUMBER_TYPES = ['FLOAT', 'DOUBLE', 'DECIMAL', 'REAL']
+
+// Turns ?filter[...]=&sort=&page[...]= into Sequelize options, within what the model declares as queryable.
+// Every problem is collected, so a client sees all of them in one 422.
+class QueryParser {
+    errors = []
+
+    constructor(model, queryable) {
+        this.model = model
+        this.queryable = queryable
+        this.attributes = model.getAttributes()
+    }
+
+    parse(query = {}) {
+        const where = this.filters(query.filter)
+        const order = this.order(query.sort ?? this.queryable.sort)
+        const page = this.page(query.page)
+
+        if (this.errors.length > 0) throw new ValidationException(this.errors, 'Invalid query')
+
+        return { where, order, page }
+    }
+
+    // filter[is_active]=true, filter[created_at][gte]=2025-01-01, filter[id][in]=1,2,3
+    filters(filter) {
+        if (filter === undefined) return {}
+        if (!this.#isObject(filter)) return this.#error('filter', 'filter must be an object, e.g. filter[name]=value')
+
+        const where = {}
+
+        for (const [name, value] of Object.entries(filter)) {
+            const attribute = this.#attribute(name)
+            const allowed = attribute && this.#filterable(attribute)
+
+            if (!allowed) {
+                this.#error(`filter.${name}`, `${name} cannot be filtered`)
+                continue
+            }
+
+            const conditions = this.#isObject(value) ? value : { eq: value }
+
+            for (const [operator, operand] of Object.entries(conditions)) {
+                const field = this.#isObject(value) ? `filter.${name}.${operator}` : `filter.${name}`
+
+                if (!OPERATORS[operator] || !allowed.includes(operator)) {
+                    this.#error(field, `operator "${operator}" is not allowed on ${name}`)
+                    continue
+                }
+
+                const parsed = this.#operand(attribute, operator, operand, field)
+                if (parsed === undefined) continue
+
+                // filter[x][null]=false is IS NOT NULL
+                const [key, condition] = operator === 'null' ? [parsed ? Op.is : Op.not, null] : [OPERATORS[operator], parsed]
+                where[attribute] = { ...where[attribute], [key]: condition }
+            }
+        }
+
+        return where
+    }
+
+    // sort=-created_at,username: the primary key is appended so rows with equal values keep a stable order
+    order(sort) {
+        const order = []
+
+        for (const key of typeof sort === 'string' ? sort.split(',').filter(Boolean) : []) {
+            const name = key.replace(/^-/, '')
+            const attribute = this.#attribute(name)
+
+            if (!attribute || !this.queryable.sortable.includes(attribute)) {
+                this.#error('sort', `${name} cannot be sorted`)
+                continue
+            }
+
+            // a NULL cannot be compared with a cursor, rows would be skipped
+            if (this.queryable.pagination === 'cursor' && this.#nullable(attribute)) {
+                this.#error('sort', `${name} is nullable and cannot be sorted with cursor pagination`)
+                continue
+            }
+
+            order.push([attribute, key.startsWith('-') ? 'DESC' : 'ASC'])
+        }
+
+        if (sort !== undefined && typeof sort !== 'string') this.#error('sort', 'sort must be a comma-separated list of fields')
+
+        const primaryKey = this.model.primaryKeyAttribute
+        if (primaryKey && !order.some(([attribute]) => attribute === primaryKey)) order.push([primaryKey, order.at(-1)?.[1] ?? 'ASC'])
+
+        return order
+    }
+
+    // offset: page[number], page[size]. cursor: page[after] or page[before], page[size]
+    page(page = {}) {
+        const { pagination, size: defaultSize, max_size } = this.queryable
+        const keys = pagination === 'cursor' ? ['size', 'after', 'before'] : ['size', 'number']
+
+        if (!this.#isObject(page)) return this.#error('page', 'page must be an object, e.g. page[size]=20')
+
+        for (const key of Object.keys(page)) {
+            if (!keys.includes(key)) this.#error(`page.${key}`, `page[${key}] is not supported with ${pagination} pagination`)
+        }
+
+        const size = page.size === undefined ? defaultSize : this.#integer(page.size, 'page.size', 1, max_size)
+        const number = page.number === undefined ? 1 : this.#integer(page.number, 'page.number', 1)
+
+        if (page.after !== undefined && page.before !== undefined) this.#error('page', 'page[after] and page[before] cannot be combined')
+
+        return { size, number, after: page.after, before: page.before }
+    }
+
+    // the sort values of the row a cursor points at
+    cursor(cursor, order, field) {
+        let values = null
+
+        try {
+            values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString())
+        } catch {}
+
+        if (!Array.isArray(values) || values.length !== order.length) {
+            this.#error(field, 'invalid cursor')
+        } else {
+            values = order.map(([attribute], i) => (values[i] === null ? null : this.#value(attribute, values[i], field)))
+        }
+
+        if (this.errors.length > 0) throw new ValidationException(this.errors, 'Invalid query')
+        return values
+    }
+
+    // names are attributes (createdAt) or their columns (created_at)
+    #attribute(name) {
+        if (this.attributes[name]) return name
+        return Object.keys(this.attributes).find((attribute) => this.attributes[attribute].field === name) ?? null
+    }
+
+    #nullable(attribute) {
+        const { allowNull, primaryKey } = this.attributes[attribute]
+        return allowNull !== false && !primaryKey
+    }
+
+    #filterable(attribute) {
+        const { filterable } = this.queryable
+
+        if (Array.isArray(filterable)) return filterable.includes(attribute) ? Object.keys(OPERATORS) : null
+        return filterable[attribute] ?? null
+    }
+
+    #operand(attribute, operator, operand, field) {
+        if (operator === 'null') {
+            if (!['true', 'false'].includes(operand)) return this.#error(field, 'must be true or false')
+            return operand === 'true'
+        }
+
+        if (operator === 'in' || operator === 'nin') {
+            const list = Array.isArray(operand) ? operand : typeof operand === 'string' ? operand.split(',') : null
+            if (!list) return this.#error(field, 'must be a comma-separated list')
+
+            const values = list.map((value) => this.#value(attribute, value, field))
+            return values.includes(undefined) ? undefined : values
+        }
+
+        // contains: "%", "_" and the escape character in the value match themselves, SQLite has no default escape character
+        if (operator === 'like') {
+            if (typeof operand !== 'string') return this.#error(field, 'must be a string')
+
+            const pattern = `%${operand.replace(/[!%_]/g, `${LIKE_ESCAPE}$&`)}%`
+            return literal(`${this.model.sequelize.escape(pattern)} ESCAPE '${LIKE_ESCAPE}'`)
+        }
+
+        return this.#value(attribute, operand, field)
+    }
+
+    // query string values are strings, they are converted to the type of the column
+    #value(attribute, value, field) {
+        const type = this.attributes[attribute].type.key
+
+        if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') return this.#error(field, 'must be a single value')
+
+        if (type === 'BOOLEAN') {
+            const boolean = { true: true, 1: true, false: false, 0: false }[String(value)]
+            return boolean ?? this.#error(field, 'must be true or false')
+        }
+
+        if (INTEGER_TYPES.includes(type)) return this.#integer(value, field)
+
+        if (NUMBER_TYPES.includes(type)) {
+            const number = Number(value)
+            return value !== '' && Number.isFinite(number) ? number : this.#error(field, 'must be a number')
+        }
+
+        if (type === 'DATE') {
+            const date = new Date(value)
+            return Number.isNaN(date.getTime()) ? this.#error(field, 'must be a date') : date
+        }
+
+        return String(value)
+    }
+
+    #integer(value, field, min = -Infinity, max = Infinity) {
+        const number = Number(value)
+
+        if (value === '' || !Number.isInteger(number)) return this.#error(field, 'must be an integer')
+        if (number < min || number > max) return this.#error(field, max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`)
+
+        return number
+    }
+
+    #isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value)
+    }
+
+    #error(field, message) {
+        this.errors.push({ location: 'query', field, message, code: 'invalid_query' })
+        return undefined
+    }
+}
+
+// Base class of src/app/repositories, one per model:
+// class UserRepository extends Repository { static model = 'User' }
+// What clients may filter and sort on is declared by the model (Model.queryable) or the repository (static queryable).
+module.exports = class Repository {
+    static QueryParser = QueryParser
+    static OPERATORS = Object.keys(OPERATORS)
+    static model = null
+    static queryable = {}
+
+    static get Model() {
+        const model = typeof this.model === 'string' ? Database.getModel(this.model) : this.model
+        if (!model) throw new Error(`${this.name} has no model, or model "${this.model}" is not loaded`)
+
+        return model
+    }
+
+    // { filterable, sortable, sort, scopes, pagination, size, max_size }
+    static definition() {
+        return {
+            filterable: [],
+            sortable: [],
+            sort: undefined,
+            scopes: [],
+            pagination: 'offset',
+            size: config.database.pagination.size,
+            max_size: config.database.pagination.max_size,
+            ...this.Model.queryable,
+            ...this.queryable,
+        }
+    }
+
+    // the model with its default scope and the scopes declared in `queryable.scopes`
+    static scoped(scopes = []) {
+        const all = [...this.definition().scopes, ...scopes]
+        return all.length > 0 ? this.Model.scope(['defaultScope', ...all]) : this.Model
+    }
+
+    // --- reads ---
+    static async all({ scopes, ...options } = {}) {
+        return this.scoped(scopes).findAll(options)
+    }
+
+    static async find(id, { scopes, ...options } = {}) {
+        return this.scoped(scopes).findByPk(id, options)
+    }
+
+    static async findOrFail(id, options) {
+        const record = await this.find(id, options)
+        if (!record) throw new NotFoundException(`${this.Model.name} not found`)
+
+        return record
+    }
+
+    // The page of records requested by req.query, as { success, data, meta, links }.
+    // options: where (ANDed with the filters), include, attributes, scopes, pagination ('offset' | 'cursor')
+    static async paginate(req, { where, scopes, pagination, ...options } = {}) {
+        const definition = { ...this.definition(), ...(pagination && { pagination }) }
+        const parser = new QueryParser(this.Model, definition)
+        const query = parser.parse(req.query)
+        const model = this.scoped(scopes)
+        const conditions = where ? { [Op.and]: [query.where, where] } : query.where
+
+        if (definition.pagination === 'cursor') return Repository.#cursorPage(req, model, parser, query, conditions, options)
+        return Repository.#offsetPage(req, model, query, conditions, options)
+    }
+
+    static async #offsetPage(req, model, { order, page }, where, options) {
+        const { count, rows } = await model.findAndCountAll({
+            ...options,
+            where,
+            order,
+            limit: page.size,
+            offset: (page.number - 1) * page.size,
+            distinct: Boolean(options.include),
+        })
+        const pages = Math.max(1, Math.ceil(count / page.size))
+        const link = (number) => Repository.#link(req, { number, size: page.size })
+
+        return {
+            success: true,
+            data: rows,
+            meta: { page: { number: page.number, size: page.size, total: count, pages } },
+            links: {
+                self: link(page.number),
+                first: link(1),
+                prev: page.number > 1 ? link(Math.min(page.number - 1, pages)) : null,
+                next: page.number < pages ? link(page.number + 1) : null,
+                last: link(pages),
+            },
+        }
+    }
+
+    // Keyset pagination: no COUNT and no OFFSET, so pages stay fast and stable while rows are inserted.
+    // QueryParser.order() refuses nullable sort fields, a NULL cannot be compared with the cursor.
+    static async #cursorPage(req, model, parser, { order, page }, where, options) {
+        const backwards = page.before !== undefined
+        const cursor = backwards ? page.before : page.after
+        const conditions = [where]
+
+        if (cursor !== undefined) {
+            const values = parser.cursor(cursor, order, backwards ? 'page.before' : 'page.after')
+            conditions.push(Repository.#after(order, values, backwards))
+        }
+
+        const rows = await model.findAll({
+            ...options,
+            where: { [Op.and]: conditions },
+            order: backwards ? order.map(([attribute, direction]) => [attribute, direction === 'ASC' ? 'DESC' : 'ASC']) : order,
+            limit: page.size + 1,
+        })
+
+        // one extra row tells whether there is another page in the direction of travel
+        const more = rows.length > page.size
+        const data = rows.slice(0, page.size)
+        if (backwards) data.reverse()
+
+        const encode = (row) => Buffer.from(JSON.stringify(order.map(([attribute]) => row.get(attribute)))).toString('base64url')
+        const next = data.length > 0 && (backwards || more) ? encode(data.at(-1)) : null
+        const prev = data.length > 0 && (backwards ? more : cursor !== undefined) ? encode(data[0]) : null
+
+        return {
+            success: true,
+            data,
+            meta: { page: { size: page.size, next_cursor: next, prev_cursor: prev } },
+            links: {
+                self: Repository.#link(req, { size: page.size, after: page.after, before: page.before }),
+                first: Repository.#link(req, { size: page.size }),
+                prev: prev && Repository.#link(req, { size: page.size, before: prev }),
+                next: next && Repository.#link(req, { size: page.size, after: next }),
+            },
+        }
+    }
+
+    // rows after the cursor in the sort order: (a > x) OR (a = x AND b > y) OR ...
+    static #after(order, values, backwards) {
+        return {
+            [Op.or]: order.map(([attribute, direction], i) => {
+                const ascending = (direction === 'ASC') !== backwards
+                const equal = order.slice(0, i).map(([previous], j) => ({ [previous]: values[j] }))
+
+                return { [Op.and]: [...equal, { [attribute]: { [ascending ? Op.gt : Op.lt]: values[i] } }] }
+            }),
+        }
+    }
+
+    // the current path and query string with another page
+    static #link(req, page) {
+        const path = req.originalUrl.split('?')[0]
+        const query = qs.stringify({ ...req.query, page }, { encodeValuesOnly: true })
+
+        return query ? `${path}?${query}` : path
+    }
+
+    // --- writes ---
+    static async create(values, options) {
+        return this.Model.create(values, options)
+    }
+
+    static async update(idOrRecord, values, options = {}) {
+        const record = idOrRecord instanceof this.Model ? idOrRecord : await this.findOrFail(idOrRecord, { transaction: options.transaction })
+        return record.update(values, options)
+    }
+
+    static async destroy(idOrRecord, options = {}) {
+        const record = idOrRecord instanceof this.Model ? idOrRecord : await this.findOrFail(idOrRecord, { transaction: options.transaction })
+        await record.destroy(options)
+
+        return record
+    }
+}
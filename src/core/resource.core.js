@@ -0,0 +1,97 @@
+'use strict'
+
+// value of a field left out of the rendered object, see Resource.when()
+const MISSING = Symbol('missing')
+
+// a loaded relation, rendered by its resource for the same request as its parent
+class NestedResource {
+    constructor(resource, value) {
+        this.resource = resource
+        this.value = value
+    }
+}
+
+// Base class of src/app/http/resources: the public JSON shape of a model, whatever columns it has.
+// class UserResource extends Resource { static toJSON(user, { req, viewer, version }) { return { id: user.id } } }
+module.exports = class Resource {
+    static MISSING = MISSING
+
+    // other resources rendering an API version, e.g. { v1: UserResourceV1 }, see route.version()
+    static versions = {}
+
+    // every attribute except those the model hides, resources list their fields instead
+    static toJSON(record) {
+        return typeof record.toJSON === 'function' ? record.toJSON() : { ...record }
+    }
+
+    // `context` adds to or overrides { req, viewer: req.user, version }
+    static make(record, req, context = {}) {
+        if (record === null || record === undefined) return null
+
+        const version = context.version ?? Resource.version(req)
+        const resource = this.versions[version] ?? this
+        if (resource !== this) return resource.make(record, req, context)
+
+        return Resource.#resolve(this.toJSON(record, { req, viewer: req?.user ?? null, version, ...context }), req, context)
+    }
+
+    // an array of records, or the envelope of Repository.paginate() with its data rendered
+    static collection(records, req, context = {}) {
+        if (Array.isArray(records)) return records.map((record) => this.make(record, req, context))
+
+        return { ...records, data: this.collection(records.data, req, context) }
+    }
+
+    // the version of the route group, see Routing.version()
+    static version(req) {
+        return req?.apiVersion ?? null
+    }
+
+    // --- conditional fields ---
+    // field: Resource.when(viewer?.role === 'admin', () => user.email), left out when the condition is false
+    static when(condition, value, otherwise = MISSING) {
+        const result = condition ? value : otherwise
+        return typeof result === 'function' ? result() : result
+    }
+
+    // ...Resource.mergeWhen(condition, { email, last_login }): several fields under one condition
+    static mergeWhen(condition, fields) {
+        if (!condition) return {}
+        return typeof fields === 'function' ? fields() : fields
+    }
+
+    // a relation the query included, rendered by `resource` when given. Left out when it was not loaded,
+    // so a missing include never turns into a query per record
+    static whenLoaded(record, relation, resource) {
+        const values = record.dataValues ?? record
+        if (!(relation in values)) return MISSING
+
+        const value = values[relation]
+        return resource && value !== null && value !== undefined ? new NestedResource(resource, value) : value
+    }
+
+    static #resolve(value, req, context) {
+        if (value instanceof NestedResource) {
+            const { resource, value: nested } = value
+            return Array.isArray(nested) ? resource.collection(nested, req, context) : resource.make(nested, req, context)
+        }
+
+        if (Array.isArray(value)) return value.filter((item) => item !== MISSING).map((item) => Resource.#resolve(item, req, context))
+        if (!Resource.#isPlain(value)) return value
+
+        const resolved = {}
+
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== MISSING) resolved[key] = Resource.#resolve(item, req, context)
+        }
+
+        return resolved
+    }
+
+    static #isPlain(value) {
+        if (typeof value !== 'object' || value === null) return false
+
+        const prototype = Object.getPrototypeOf(value)
+        return prototype === Object.prototype || prototype === null
+    }
+}
@@ -0,0 +1,163 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Routes = require('@refkinscallv/express-routing')
+const Database = require('@core/database.core')
+const Generator = require('@core/generator.core')
+const Logger = require('@core/logger.core')
+const { NotFoundException } = require('@core/exception.core')
+const config = require('@app/config')
+
+// routes of each resource action, below the resource path. Actions with the parameter get the bound record
+const ACTIONS = {
+    index: [['get', false]],
+    store: [['post', false]],
+    show: [['get', true]],
+    update: [
+        ['put', true],
+        ['patch', true],
+    ],
+    destroy: [['delete', true]],
+}
+
+const INTEGER_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'MEDIUMINT', 'TINYINT']
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Controller discovery, resource routes and route-model binding on top of @refkinscallv/express-routing
+module.exports = class Routing {
+    static ACTIONS = Object.keys(ACTIONS)
+    static #controllers = null
+
+    // route.resource() and route.version() next to the methods of the routing package, route files only require the package
+    static {
+        Routes.resource ??= (name, controller, options) => this.resource(name, controller, options)
+        Routes.version ??= (version, callback) => this.version(version, callback)
+    }
+
+    // controllers of config.express.controllers by class name, loaded on first use:
+    // const { AuthController } = require('@core/routing.core').controllers
+    static get controllers() {
+        if (!this.#controllers) this.loadControllers()
+        return this.#controllers
+    }
+
+    static loadControllers() {
+        const dir = path.resolve(process.cwd(), config.express.controllers)
+        const controllers = {}
+
+        if (!fs.existsSync(dir)) {
+            Logger.warning('routing', 'controllers directory not found, skipping controller discovery')
+        } else {
+            for (const file of fs.readdirSync(dir).filter((file) => file.endsWith('.controller.js'))) {
+                const controller = require(path.join(dir, file))
+                if (typeof controller !== 'function') continue
+
+                if (controllers[controller.name]) {
+                    throw new Error(`controller ${controller.name} is defined twice, in ${file} and another file`)
+                }
+
+                controllers[controller.name] = controller
+            }
+        }
+
+        this.#controllers = controllers
+        Logger.debug('routing', `${Object.keys(controllers).length} controllers discovered`)
+
+        return controllers
+    }
+
+    // a controller class, or its name with or without the Controller suffix
+    static controller(name) {
+        if (typeof name === 'function') return name
+
+        const controller = this.controllers[name] ?? this.controllers[`${name}Controller`]
+        if (!controller) throw new Error(`unknown controller "${name}"`)
+
+        return controller
+    }
+
+    // route.resource('users', UserController): GET users, POST users, GET users/:user, PUT and PATCH users/:user,
+    // DELETE users/:user, for the actions the controller has. :user is bound to a User, see bind().
+    // options: only, except, param ('user'), model ('User'), key (the primary key by default), middleware
+    static resource(name, controller, options = {}) {
+        controller = this.controller(controller)
+
+        const names = Generator.names(Generator.singular(name.split('/').pop()))
+        const param = options.param ?? names.kebab.replace(/-/g, '_')
+        const bind = this.bind(param, options.model ?? controller.model ?? names.pascal, options.key)
+
+        const actions = this.ACTIONS.filter((action) => {
+            if (options.only && !options.only.includes(action)) return false
+            return typeof controller[action] === 'function' && !options.except?.includes(action)
+        })
+
+        for (const action of actions) {
+            const handler = (context) => controller[action](context)
+            Object.defineProperty(handler, 'name', { value: `${controller.name}.${action}` })
+
+            // authentication and validation run before the lookup, guests cannot probe which records exist
+            const middleware = [...this.#middleware(controller.middleware, action), ...this.#middleware(options.middleware, action)]
+
+            for (const [method, bound] of ACTIONS[action]) {
+                Routes.middleware(bound ? [...middleware, bind] : middleware, () => {
+                    Routes[method](bound ? `${name}/:${param}` : name, handler)
+                })
+            }
+        }
+    }
+
+    // route.version('v2', () => { ... }): the routes are below v2/ and resources render their v2 shape, see Resource.versions
+    static version(version, callback) {
+        const middleware = (req, res, next) => {
+            req.apiVersion = version
+            next()
+        }
+
+        Object.defineProperty(middleware, 'name', { value: `version:${version}` })
+        Routes.group(version, callback, [middleware])
+    }
+
+    // an array for every action, or { '*': [...], store: [...] }
+    static #middleware(middleware, action) {
+        if (!middleware) return []
+        if (Array.isArray(middleware)) return middleware
+
+        return [...(middleware['*'] ?? []), ...(middleware[action] ?? [])]
+    }
+
+    // Route-model binding: req.models[param] is the record whose `key` column matches the parameter,
+    // a NotFoundException (404) when there is none. The model is looked up per request, after Database.init
+    static bind(param, model, key) {
+        const middleware = async (req, res, next) => {
+            try {
+                const Model = typeof model === 'string' ? Database.getModel(model) : model
+                if (!Model) throw new Error(`model "${model}" of the :${param} route parameter is not loaded`)
+
+                const column = key ?? Model.primaryKeyAttribute
+                const value = req.params[param]
+                const record = this.#fits(Model, column, value) ? await Model.findOne({ where: { [column]: value } }) : null
+
+                if (!record) return next(new NotFoundException(`${Model.name} not found`))
+
+                req.models = { ...req.models, [param]: record }
+                next()
+            } catch (err) {
+                next(err)
+            }
+        }
+
+        Object.defineProperty(middleware, 'name', { value: `bind:${param}` })
+        return middleware
+    }
+
+    // a value the column cannot hold matches nothing, instead of failing the query on strict databases
+    static #fits(Model, column, value) {
+        const type = Model.getAttributes()[column]?.type.key
+
+        if (INTEGER_TYPES.includes(type)) return /^\d+$/.test(value)
+        if (type === 'UUID') return UUID.test(value)
+
+        return true
+    }
+}
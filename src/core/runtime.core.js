@@ -1,12 +1,35 @@
 'use strict'
 
 const config = require('@app/config')
+const Lifecycle = require('@core/lifecycle.core')
 const Logger = require('@core/logger.core')
 
 module.exports = class Runtime {
+    static #crashed = false
+
     static set() {
         Logger.info('runtime', 'preparing the modified node system')
         require('@core/logger.core').init()
         process.env.TZ = config.app.timezone
+        this.handleCrashes()
+    }
+
+    // the process state is unknown after a crash: log it, shut down (which flushes the logs) and exit
+    static handleCrashes() {
+        process.on('uncaughtException', (err, origin) => this.#crash('uncaughtException', err, { origin }))
+        process.on('unhandledRejection', (reason) => this.#crash('unhandledRejection', reason))
+    }
+
+    static #crash(type, err, context = {}) {
+        Logger.error('runtime', err, {
+            context: { type, ...context, state: Lifecycle.state, pid: process.pid, uptime_s: Math.round(process.uptime()), rss_mb: Math.round(process.memoryUsage().rss / 1048576) },
+        })
+
+        // a second crash, e.g. from a shutdown hook, must not restart the shutdown
+        if (this.#crashed) return
+
+        this.#crashed = true
+        process.exitCode = Lifecycle.EXIT_CODES[type]
+        Lifecycle.terminate(type)
     }
 }
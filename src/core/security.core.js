@@ -0,0 +1,125 @@
+'use strict'
+
+const crypto = require('crypto')
+const Auth = require('@core/auth.core')
+const { ForbiddenException } = require('@core/exception.core')
+const config = require('@app/config')
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+// Security headers, CSRF tokens for cookie-authenticated requests and origin checks, see config.security
+module.exports = class Security {
+    // --- headers ---
+    static headers() {
+        const { hsts, csp, frame, referrer, extra } = config.security.headers
+
+        return (req, res, next) => {
+            if (csp) {
+                res.locals.cspNonce = crypto.randomBytes(16).toString('base64')
+                res.set(csp.report_only ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy', this.policy(csp.directives, res.locals.cspNonce))
+            }
+
+            // browsers ignore HSTS over plain HTTP, req.secure honors "trust proxy" behind a TLS terminator
+            if (hsts && req.secure) {
+                res.set('Strict-Transport-Security', [`max-age=${hsts.max_age}`, hsts.include_subdomains && 'includeSubDomains', hsts.preload && 'preload'].filter(Boolean).join('; '))
+            }
+
+            if (frame) res.set('X-Frame-Options', frame)
+            if (referrer) res.set('Referrer-Policy', referrer)
+
+            res.set({ 'X-Content-Type-Options': 'nosniff', ...extra })
+            next()
+        }
+    }
+
+    // "'nonce'" in a directive stands for the nonce of the current response, see res.locals.cspNonce
+    static policy(directives, nonce) {
+        return Object.entries(directives)
+            .map(([name, sources]) => [name, ...sources.map((source) => (source === "'nonce'" ? `'nonce-${nonce}'` : source))].join(' '))
+            .join('; ')
+    }
+
+    // --- CSRF ---
+    // A random secret lives in a signed, httpOnly cookie and tokens are salted HMACs of it, so every
+    // rendered form gets a different token and no server-side state is needed.
+    // `always` also protects requests without a session cookie, e.g. a login form.
+    static csrf({ always = false } = {}) {
+        const { field, header } = config.security.csrf
+
+        const middleware = (req, res, next) => {
+            req.csrfToken = () => this.#token(req, res)
+            res.locals.csrfToken = req.csrfToken
+            res.locals.csrfField = () => `<input type="hidden" name="${field}" value="${req.csrfToken()}">`
+
+            if (SAFE_METHODS.includes(req.method) || !this.#needsToken(req, always)) return next()
+
+            const token = req.body?.[field] ?? req.get(header)
+
+            if (!this.#verify(req.signedCookies?.[config.security.csrf.cookie], token)) {
+                return next(new ForbiddenException('Invalid CSRF token'))
+            }
+
+            next()
+        }
+
+        Object.defineProperty(middleware, 'name', { value: always ? 'csrf:always' : 'csrf' })
+        return middleware
+    }
+
+    // browsers attach cookies on their own but never an Authorization header, bearer requests cannot be forged
+    static #needsToken(req, always) {
+        if (req.get('authorization')) return false
+
+        return always || Boolean(req.signedCookies?.[config.auth.session.cookie] ?? req.cookies?.[config.auth.session.cookie])
+    }
+
+    static #token(req, res) {
+        const { cookie } = config.security.csrf
+        let secret = req.signedCookies?.[cookie]
+
+        if (!secret) {
+            secret = crypto.randomBytes(32).toString('base64url')
+            req.signedCookies = { ...req.signedCookies, [cookie]: secret }
+            res.cookie(cookie, secret, { httpOnly: true, signed: true, secure: config.auth.session.secure, sameSite: 'lax', path: '/' })
+        }
+
+        const salt = crypto.randomBytes(8).toString('base64url')
+        return `${salt}.${this.#sign(secret, salt)}`
+    }
+
+    static #verify(secret, token) {
+        if (!secret || typeof token !== 'string') return false
+
+        const [salt, signature] = token.split('.')
+        if (!salt || !signature) return false
+
+        const expected = Buffer.from(this.#sign(secret, salt))
+        const given = Buffer.from(signature)
+
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    }
+
+    static #sign(secret, salt) {
+        return crypto.createHmac('sha256', Auth.secret()).update(`${secret}.${salt}`).digest('base64url')
+    }
+
+    // --- origins ---
+    // the CORS origin setting applied to requests the cors package never sees, e.g. WebSocket upgrades
+    static async allowsOrigin(origin, allowed) {
+        if (!origin) return true // not a browser, or a same-origin navigation
+
+        if (typeof allowed === 'function') {
+            return new Promise((resolve) => allowed(origin, (err, result) => resolve(!err && this.#matches(origin, result))))
+        }
+
+        return this.#matches(origin, allowed)
+    }
+
+    static #matches(origin, allowed) {
+        if (allowed === true || allowed === '*') return true
+        if (Array.isArray(allowed)) return allowed.some((item) => this.#matches(origin, item))
+        if (allowed instanceof RegExp) return allowed.test(origin)
+
+        return typeof allowed === 'string' && allowed === origin
+    }
+}
@@ -3,28 +3,27 @@
 const http = require('http')
 const https = require('https')
 const fs = require('fs')
+const Cluster = require('@core/cluster.core')
 const Express = require('@core/express.core')
 const Logger = require('@core/logger.core')
 const config = require('@app/config')
 
 module.exports = class Server {
     static instance = null
+    static closing = false
+    static #responses = new Set()
 
     static init() {
-        try {
-            const app = Express.instance()
-            const port = config.app.port
+        const app = Express.instance()
+        const port = config.app.port
 
-            this.#applyServerOptions(app)
+        this.#applyServerOptions(app)
 
-            Logger.info('server', 'preparing server...')
+        Logger.info('server', 'preparing server...')
 
-            this.instance = config.server.https ? this.#httpsServer(app, port) : this.#httpServer(app, port)
+        this.instance = config.server.https ? this.#httpsServer(app, port) : this.#httpServer(app, port)
 
-            return this.instance
-        } catch (err) {
-            Logger.set(err, 'server')
-        }
+        return this.instance
     }
 
     static #applyServerOptions(app) {
@@ -49,10 +48,9 @@ module.exports = class Server {
         const server = http.createServer(serverOptions, app)
 
         this.#applyRuntimeOptions(server, opt)
+        this.#trackRequests(server)
 
-        server.listen(port, () => {
-            Logger.info('server', `HTTP running at ${config.app.url}`)
-        })
+        this.#listen(server, port, 'HTTP')
 
         this.#onError(server)
         return server
@@ -64,7 +62,7 @@ module.exports = class Server {
         const opt = config.server.options
 
         if (!fs.existsSync(cert) || !fs.existsSync(key)) {
-            return Logger.set('SSL certificate or key file is missing', 'server')
+            throw new Error('SSL certificate or key file is missing')
         }
 
         const serverOptions = {
@@ -78,15 +76,25 @@ module.exports = class Server {
         const server = https.createServer(serverOptions, app)
 
         this.#applyRuntimeOptions(server, opt)
+        this.#trackRequests(server)
 
-        server.listen(port, () => {
-            Logger.info('server', `HTTPS running at ${config.app.url}`)
-        })
+        this.#listen(server, port, 'HTTPS')
 
         this.#onError(server)
         return server
     }
 
+    static #listen(server, port, protocol) {
+        if (Cluster.isWorker) {
+            Cluster.attach(server)
+            return Logger.info('server', `${protocol} worker ${process.pid} attached to the cluster`)
+        }
+
+        server.listen(port, () => {
+            Logger.info('server', `${protocol} running at ${config.app.url}`)
+        })
+    }
+
     // --- apply ANY option dynamically ---
     static #applyRuntimeOptions(server, opt) {
         for (const key of Object.keys(opt)) {
@@ -98,6 +106,49 @@ module.exports = class Server {
         }
     }
 
+    static ready() {
+        if (!this.instance || this.instance.listening || Cluster.isWorker) return Promise.resolve(this.instance)
+
+        return new Promise((resolve, reject) => {
+            this.instance.once('listening', () => resolve(this.instance))
+            this.instance.once('error', reject)
+        })
+    }
+
+    // --- graceful shutdown ---
+    static async close(timeout = config.server.shutdown.timeout) {
+        if (!this.instance || this.closing) return
+
+        this.closing = true
+        Logger.info('server', 'no longer accepting connections')
+
+        this.instance.close()
+        this.instance.closeIdleConnections()
+
+        const deadline = Date.now() + timeout
+        while (this.#responses.size > 0 && Date.now() < deadline) {
+            await new Promise((resolve) => setTimeout(resolve, 100))
+        }
+
+        if (this.#responses.size > 0) {
+            Logger.warning('server', `${this.#responses.size} in-flight request(s) did not finish within ${timeout}ms`)
+        }
+
+        this.instance.closeAllConnections()
+        Logger.info('server', 'server closed')
+    }
+
+    static #trackRequests(server) {
+        server.on('request', (req, res) => {
+            this.#responses.add(res)
+
+            // keep-alive sockets must not pick up new requests once draining started
+            if (this.closing) res.setHeader('Connection', 'close')
+
+            res.once('close', () => this.#responses.delete(res))
+        })
+    }
+
     static #onError(server) {
         server.on('error', (err) => {
             Logger.set(err, 'server')
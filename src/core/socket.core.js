@@ -1,23 +1,193 @@
 'use strict'
 
 const { Server: SocketIO } = require('socket.io')
+const cookieParser = require('cookie-parser')
+const Auth = require('@core/auth.core')
+const Cluster = require('@core/cluster.core')
+const Context = require('@core/context.core')
+const IpcAdapter = require('@core/adapters/ipc.adapter')
 const Logger = require('@core/logger.core')
+const RateLimit = require('@core/ratelimit.core')
+const Security = require('@core/security.core')
+const Validator = require('@core/validator.core')
+const { HttpException } = require('@core/exception.core')
 const Server = require('./server.core')
 const config = require('@app/config')
 
 module.exports = class Socket {
     static io = null
+    static namespaces = new Map()
 
     static init() {
+        Logger.info('socket', 'preparing socket server...')
+
+        this.io = new SocketIO(Server.instance, { allowRequest: (req, callback) => this.#allowOrigin(req, callback), ...config.socket.options, adapter: this.#adapter() })
+
+        for (const [name, definition] of this.namespaces) {
+            this.#mount(name, definition)
+        }
+
+        Logger.info('socket', 'socket server is ready')
+        return this.io
+    }
+
+    // CORS only covers polling, a WebSocket upgrade from any page would otherwise carry the session cookie
+    static #allowOrigin(req, callback) {
+        Security.allowsOrigin(req.headers.origin, config.socket.options.cors?.origin).then(
+            (allowed) => {
+                if (!allowed) Logger.warning('socket', `rejected connection from origin ${req.headers.origin}`)
+                callback(allowed ? null : 'origin not allowed', allowed)
+            },
+            (err) => {
+                Logger.error('socket', err)
+                callback('origin check failed', false)
+            },
+        )
+    }
+
+    // "cluster" relays through the primary and only differs from "memory" inside cluster workers,
+    // external brokers are plugged in as an adapter factory, e.g. createAdapter(pubClient, subClient)
+    static #adapter() {
+        const { adapter } = config.socket
+
+        if (typeof adapter === 'function') return adapter
+
+        if (Cluster.isWorker && adapter === 'memory') {
+            Logger.warning('socket', 'in-memory adapter in cluster mode: broadcasts only reach clients of this worker')
+        }
+
+        return Cluster.isWorker && adapter === 'cluster' ? IpcAdapter.create() : undefined
+    }
+
+    // definition: { auth, rateLimit, middleware: [], connection(socket), disconnect(socket, reason), events: { name: handler | { schema, rateLimit, handler } } }
+    static namespace(name, definition = {}) {
+        if (this.namespaces.has(name)) {
+            throw new Error(`socket namespace ${name} is already declared`)
+        }
+
+        this.namespaces.set(name, { auth: true, middleware: [], events: {}, ...definition })
+
+        // namespaces declared after init are mounted right away
+        if (this.io) this.#mount(name, this.namespaces.get(name))
+    }
+
+    static #mount(name, definition) {
+        const nsp = this.io.of(name)
+
+        // throttled before authentication, which costs a token check or a session lookup
+        if (definition.rateLimit) {
+            nsp.use(RateLimit.handshake(definition.rateLimit))
+        }
+
+        if (definition.auth) {
+            nsp.use((socket, next) => this.authenticate(socket, next))
+        }
+
+        for (const middleware of definition.middleware) {
+            nsp.use(middleware)
+        }
+
+        nsp.on('connection', async (socket) => {
+            for (const [event, listener] of Object.entries(definition.events)) {
+                socket.on(event, (...args) => this.#scope(socket, event, () => this.#dispatch(socket, event, listener, args)))
+            }
+
+            if (definition.disconnect) {
+                socket.on('disconnect', (reason) => this.#scope(socket, 'disconnect', () => this.#guard(socket, 'disconnect', () => definition.disconnect(socket, reason))))
+            }
+
+            if (definition.connection) {
+                await this.#scope(socket, 'connection', () => this.#guard(socket, 'connection', () => definition.connection(socket)))
+            }
+        })
+
+        Logger.debug('socket', `namespace ${name} mounted with ${Object.keys(definition.events).length} event(s)`)
+    }
+
+    // --- handshake authentication, shared with the HTTP guards ---
+    static async authenticate(socket, next) {
         try {
-            Logger.info('socket', 'preparing socket server...')
+            const { auth = {}, headers = {} } = socket.handshake
+            const bearer = headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1]
+            const token = auth.token || bearer
+            const result = token ? await Auth.resolveToken(token) : await Auth.resolveSession(this.#sessionId(headers.cookie))
 
-            this.io = new SocketIO(Server.instance, config.socket.options)
+            if (!result) {
+                return next(new Error('unauthorized'))
+            }
 
-            Logger.info('socket', 'socket server is ready')
-            return this.io
+            socket.data.user = result.user
+            socket.data.guard = result.guard
+            next()
         } catch (err) {
-            console.error(err)
+            Logger.error('socket', err, { context: { namespace: socket.nsp.name, socket: socket.id } })
+            next(new Error('unauthorized'))
         }
     }
+
+    static #sessionId(cookieHeader = '') {
+        const name = config.auth.session.cookie
+        const pair = cookieHeader
+            .split(';')
+            .map((part) => part.trim().split('='))
+            .find(([key]) => key === name)
+
+        if (!pair) return null
+
+        return cookieParser.signedCookie(decodeURIComponent(pair.slice(1).join('=')), Auth.secret()) || null
+    }
+
+    // --- events ---
+    // every event runs in its own context, like an HTTP request
+    static #scope(socket, event, callback) {
+        return Context.run({ namespace: socket.nsp.name, event, socket: socket.id, userId: socket.data.user?.id }, callback)
+    }
+
+    static async #dispatch(socket, event, listener, args) {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null
+        const { schema, rateLimit, handler } = typeof listener === 'function' ? { handler: listener } : listener
+        let payload = args[0]
+
+        if (rateLimit) {
+            const limited = await RateLimit.attempt(rateLimit, socket)
+            if (!limited.allowed) return ack?.({ success: false, message: 'Too Many Requests', retry_after: limited.retryAfter })
+        }
+
+        if (schema) {
+            const result = await Validator.check(schema, payload, 'payload')
+
+            if (!result.success) {
+                Logger.debug('socket', `${socket.nsp.name} ${event}: invalid payload`, { context: { socket: socket.id, errors: result.errors } })
+                return ack?.({ success: false, message: 'Validation failed', errors: result.errors })
+            }
+
+            payload = result.data
+        }
+
+        const outcome = await this.#guard(socket, event, () => handler(payload, socket))
+        ack?.(outcome.success ? { success: true, data: outcome.data ?? null } : { success: false, message: outcome.message })
+    }
+
+    static async #guard(socket, event, callback) {
+        try {
+            return { success: true, data: await callback() }
+        } catch (err) {
+            const exception = HttpException.from(err)
+
+            Logger.error('socket', err, { context: { namespace: socket.nsp.name, event, socket: socket.id, user: socket.data.user?.id ?? null } })
+
+            return { success: false, message: exception.expose ? exception.message : 'Internal Server Error' }
+        }
+    }
+
+    static async close(timeout = config.server.shutdown.timeout) {
+        if (!this.io) return
+
+        Logger.info('socket', 'disconnecting clients...')
+
+        // io.close() also waits for the underlying HTTP server, which may hold on to stray connections
+        await Promise.race([this.io.close(), new Promise((resolve) => setTimeout(resolve, timeout).unref())])
+
+        Logger.info('socket', 'socket server closed')
+    }
 }
@@ -0,0 +1,54 @@
+'use strict'
+
+// In-memory key/value store with per-key TTL. Shared stores (Redis, database, ...) can replace it
+// by implementing the same async methods: get(key), set(key, value, ttl), delete(key), take(key).
+module.exports = class Store {
+    #entries = new Map()
+    #writes = 0
+
+    async get(key) {
+        return this.#read(key)
+    }
+
+    // ttl in milliseconds, omit it to keep the value until it is deleted
+    async set(key, value, ttl) {
+        this.#entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null })
+        this.#sweep()
+    }
+
+    async delete(key) {
+        this.#entries.delete(key)
+    }
+
+    // deletes the key and returns its value in one step (GETDEL in Redis), only one caller gets it
+    async take(key) {
+        const value = this.#read(key)
+        this.#entries.delete(key)
+
+        return value
+    }
+
+    #read(key) {
+        const entry = this.#entries.get(key)
+        if (!entry) return null
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.#entries.delete(key)
+            return null
+        }
+
+        return entry.value
+    }
+
+    // every 100th write drops expired entries, so keys that are never read again do not pile up
+    #sweep() {
+        if (++this.#writes % 100 !== 0) return
+
+        const now = Date.now()
+        for (const [key, entry] of this.#entries) {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                this.#entries.delete(key)
+            }
+        }
+    }
+}
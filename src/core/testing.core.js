@@ -0,0 +1,409 @@
+'use strict'
+
+// the test environment keeps logs in memory, it has to be selected before the configuration is loaded
+process.env.APP_ENV ??= 'test'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const qs = require('qs')
+const { Sequelize } = require('sequelize')
+const Auth = require('@core/auth.core')
+const Boot = require('@core/boot.core')
+const Config = require('@core/config.core')
+const Database = require('@core/database.core')
+const Lifecycle = require('@core/lifecycle.core')
+const Logger = require('@core/logger.core')
+const MemoryTransport = require('@core/transports/memory.transport')
+const config = require('@app/config')
+
+// cookies set by the application, sent back by the following requests of the same client
+class TestClient {
+    cookies = new Map()
+
+    constructor(url) {
+        this.url = url
+    }
+
+    get(path) {
+        return new TestRequest(this, 'GET', path)
+    }
+
+    post(path) {
+        return new TestRequest(this, 'POST', path)
+    }
+
+    put(path) {
+        return new TestRequest(this, 'PUT', path)
+    }
+
+    patch(path) {
+        return new TestRequest(this, 'PATCH', path)
+    }
+
+    delete(path) {
+        return new TestRequest(this, 'DELETE', path)
+    }
+
+    head(path) {
+        return new TestRequest(this, 'HEAD', path)
+    }
+
+    options(path) {
+        return new TestRequest(this, 'OPTIONS', path)
+    }
+
+    store(setCookies) {
+        for (const header of setCookies) {
+            const [pair, ...attributes] = header.split(';')
+            const name = pair.slice(0, pair.indexOf('=')).trim()
+            const expires = attributes.find((attribute) => /^\s*expires=/i.test(attribute))?.split('=')[1]
+            const expired = attributes.some((attribute) => /^\s*max-age=0\s*$/i.test(attribute)) || (expires && Date.parse(expires) <= Date.now())
+
+            if (expired) this.cookies.delete(name)
+            else this.cookies.set(name, pair.trim())
+        }
+    }
+
+    get cookieHeader() {
+        return [...this.cookies.values()].join('; ')
+    }
+}
+
+// built with chained calls, sent when awaited
+class TestRequest {
+    #headers = {}
+    #query = null
+    #body = undefined
+    #user = null
+    #expectations = []
+
+    constructor(client, method, path) {
+        this.client = client
+        this.method = method
+        this.path = path
+    }
+
+    set(name, value) {
+        Object.assign(this.#headers, typeof name === 'object' ? name : { [name]: value })
+        return this
+    }
+
+    query(params) {
+        this.#query = params
+        return this
+    }
+
+    // objects are sent as JSON
+    send(body) {
+        this.#body = body
+        return this
+    }
+
+    // a user (an access token is issued for it) or an access token
+    auth(user) {
+        this.#user = user
+        return this
+    }
+
+    // a status, a header and its value (string or RegExp), or a callback receiving the response
+    expect(expected, value) {
+        this.#expectations.push([expected, value])
+        return this
+    }
+
+    then(resolve, reject) {
+        return this.#send().then(resolve, reject)
+    }
+
+    // with then(), assert.rejects() accepts the request like a promise
+    catch(reject) {
+        return this.then(undefined, reject)
+    }
+
+    async #send() {
+        const url = new URL(this.path, this.client.url)
+        const headers = new Headers(this.#headers)
+        let body = this.#body
+
+        if (this.#query) url.search = qs.stringify(this.#query)
+        if (this.#user) headers.set('authorization', `Bearer ${typeof this.#user === 'string' ? this.#user : (await Auth.issueTokens(this.#user)).access_token}`)
+        if (this.client.cookies.size > 0 && !headers.has('cookie')) headers.set('cookie', this.client.cookieHeader)
+
+        if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+            body = JSON.stringify(body)
+            if (!headers.has('content-type')) headers.set('content-type', 'application/json')
+        }
+
+        const response = await fetch(url, { method: this.method, headers, body, redirect: 'manual' })
+        const text = await response.text()
+
+        this.client.store(response.headers.getSetCookie())
+
+        const result = {
+            status: response.status,
+            headers: Object.fromEntries(response.headers),
+            text,
+            body: response.headers.get('content-type')?.includes('json') && text ? JSON.parse(text) : text,
+        }
+
+        for (const [expected, value] of this.#expectations) this.#assert(result, expected, value)
+        return result
+    }
+
+    #assert(response, expected, value) {
+        if (typeof expected === 'function') return expected(response)
+
+        if (typeof expected === 'number') {
+            return assert.strictEqual(response.status, expected, `${this.method} ${this.path}: expected ${expected}, got ${response.status} ${response.text.slice(0, 500)}`)
+        }
+
+        const actual = response.headers[expected.toLowerCase()]
+        const message = `${this.method} ${this.path}: unexpected ${expected} header "${actual}"`
+
+        if (value instanceof RegExp) return assert.match(actual ?? '', value, message)
+        assert.strictEqual(actual, value, message)
+    }
+}
+
+// Boots the application in the test process: in-memory SQLite through Database.init, an ephemeral port and
+// captured logs. Run with `npm test` (node --test), see the Testing section of the README.
+module.exports = class Testing {
+    static TestClient = TestClient
+    static TestRequest = TestRequest
+    static defaults = {
+        app: { port: 0 },
+        cluster: { enabled: false },
+        database: { dialect: 'sqlite', storage: ':memory:', logging: false, sync: false, connect: { retries: 0, check_interval: 0 }, migrations: { pending: 'ignore' } },
+        // tests do not need the production hashing cost
+        auth: { hashing: { N: 1024 } },
+        rate_limit: { enabled: false },
+    }
+    static url = null
+    static logs = null
+    static factories = new Map()
+    static #sockets = new Set()
+    static #inboxes = new WeakMap()
+    static #sequence = 0
+    static #transaction = null
+
+    // --- application ---
+    static async boot(overrides = {}, { migrate = true, seed = false } = {}) {
+        if (this.url) throw new Error('the application is already booted')
+
+        Config.patch(Config.merge(this.defaults, overrides))
+        Config.validate()
+
+        if (overrides.logging?.transports) Logger.useTransports(config.logging.transports)
+        this.logs = Logger.transports.find((transport) => transport instanceof MemoryTransport) ?? null
+
+        Boot.coreHooks()
+        require('@app/hooks/register.hook').register(Lifecycle)
+        await Lifecycle.boot()
+
+        await Database.init()
+        if (migrate) await require('@core/migration.core').migrate()
+        if (seed) await require('@core/migration.core').seed()
+
+        require('@core/express.core').init()
+        const server = require('@core/server.core').init()
+        await require('@core/server.core').ready()
+        this.url = `http://127.0.0.1:${server.address().port}`
+
+        require('@core/socket.core').init()
+        require('@app/socket/register.socket')
+        require('@core/presence.core').init()
+
+        await Lifecycle.ready()
+        return this
+    }
+
+    static async close() {
+        for (const socket of this.#sockets) socket.close()
+        this.#sockets.clear()
+
+        await this.rollback()
+        await Lifecycle.shutdown('tests finished')
+    }
+
+    // --- HTTP ---
+    // await Testing.request().post('/api/auth/login').send({ login, password }).expect(200)
+    static request() {
+        return new TestClient(this.url)
+    }
+
+    static async token(user) {
+        return (await Auth.issueTokens(user)).access_token
+    }
+
+    // --- Socket.IO ---
+    // resolves once connected, rejects with the connect_error
+    static async socket(namespace = '/', { user = null, token = null, auth = {}, ...options } = {}) {
+        const { io } = require('socket.io-client')
+        const accessToken = user ? await this.token(user) : token
+        const socket = io(new URL(namespace, this.url).href, {
+            transports: config.socket.options.transports,
+            forceNew: true,
+            reconnection: false,
+            auth: accessToken ? { ...auth, token: accessToken } : auth,
+            ...options,
+        })
+
+        this.#sockets.add(socket)
+        this.#inboxes.set(socket, new Map())
+
+        // events sent on connection arrive with the connect packet, before waitFor() can listen
+        socket.onAny((event, payload) => {
+            const inbox = this.#inboxes.get(socket)
+            if (!inbox.has(event)) inbox.set(event, [])
+
+            inbox.get(event).push(payload)
+        })
+
+        return new Promise((resolve, reject) => {
+            socket.once('connect', () => resolve(socket))
+            socket.once('connect_error', (err) => {
+                this.#sockets.delete(socket)
+                socket.close()
+                reject(err)
+            })
+        })
+    }
+
+    // the oldest payload of `event` the socket received and no waitFor() took yet, or the next one
+    static waitFor(socket, event, timeout = 2000) {
+        const received = this.#inboxes.get(socket)?.get(event)
+        if (received?.length > 0) return Promise.resolve(received.shift())
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                socket.off(event, listener)
+                reject(new Error(`no "${event}" event within ${timeout}ms`))
+            }, timeout)
+            const listener = (payload) => {
+                clearTimeout(timer)
+                // onAny() queued it first
+                this.#inboxes.get(socket)?.get(event)?.shift()
+                resolve(payload)
+            }
+
+            socket.once(event, listener)
+        })
+    }
+
+    // --- factories ---
+    // required columns are filled from the model definition, a factory adds or overrides attributes:
+    // Testing.factory('User', (n) => ({ username: `user${n}`, password: 'secret' }))
+    static factory(model, definition) {
+        this.factories.set(model, definition)
+    }
+
+    static async make(model, attributes = {}) {
+        return this.#model(model).build(await this.#attributes(model, attributes))
+    }
+
+    static async create(model, attributes = {}) {
+        return this.#model(model).create(await this.#attributes(model, attributes))
+    }
+
+    static async createMany(model, count, attributes = {}) {
+        const records = []
+
+        for (let i = 0; i < count; i++) {
+            records.push(await this.create(model, attributes))
+        }
+
+        return records
+    }
+
+    static #model(name) {
+        const model = Database.getModel(name)
+        if (!model) throw new Error(`unknown model "${name}"`)
+
+        return model
+    }
+
+    static async #attributes(name, attributes) {
+        const sequence = ++this.#sequence
+        const definition = this.factories.get(name) ?? {}
+        const defaults = typeof definition === 'function' ? await definition(sequence) : definition
+
+        return { ...this.#generate(this.#model(name), sequence), ...defaults, ...attributes }
+    }
+
+    static #generate(model, sequence) {
+        const values = {}
+
+        for (const [name, attribute] of Object.entries(model.getAttributes())) {
+            if (attribute.allowNull !== false || attribute.defaultValue !== undefined || attribute.autoIncrement || attribute._autoGenerated) continue
+
+            const value = this.#fake(name, attribute, sequence)
+            if (value !== undefined) values[name] = value
+        }
+
+        return values
+    }
+
+    // unique per record, so unique columns never collide
+    static #fake(name, attribute, sequence) {
+        if (attribute.validate?.isEmail) return `${name}${sequence}@example.test`
+
+        switch (attribute.type.key) {
+            case 'STRING':
+            case 'CHAR':
+            case 'TEXT':
+            case 'CITEXT':
+                return `${name}-${sequence}`
+            case 'INTEGER':
+            case 'BIGINT':
+            case 'SMALLINT':
+            case 'MEDIUMINT':
+            case 'TINYINT':
+            case 'FLOAT':
+            case 'DOUBLE':
+            case 'DECIMAL':
+            case 'REAL':
+                return sequence
+            case 'BOOLEAN':
+                return false
+            case 'DATE':
+            case 'DATEONLY':
+                return new Date()
+            case 'UUID':
+                return crypto.randomUUID()
+            case 'ENUM':
+                return attribute.values?.[0]
+            case 'JSON':
+            case 'JSONB':
+                return {}
+        }
+    }
+
+    // --- per-test rollback ---
+    // The in-memory database has a single connection, so every query runs inside the test transaction and
+    // transactions opened by the application become savepoints of it.
+    static async begin() {
+        const sequelize = Database.sequelize
+
+        if (this.#transaction) throw new Error('a test transaction is already open')
+        if (sequelize.getDialect() !== 'sqlite' || config.database.storage !== ':memory:') {
+            throw new Error('per-test rollback needs the in-memory SQLite database')
+        }
+
+        this.#transaction = await sequelize.transaction()
+
+        sequelize.transaction = (options, callback) => {
+            if (typeof options === 'function') [options, callback] = [{}, options]
+            return Sequelize.prototype.transaction.call(sequelize, { ...options, transaction: this.#transaction }, callback)
+        }
+    }
+
+    static async rollback() {
+        if (!this.#transaction) return
+
+        const transaction = this.#transaction
+
+        this.#transaction = null
+        delete Database.sequelize.transaction
+        await transaction.rollback()
+    }
+}
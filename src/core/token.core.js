@@ -0,0 +1,76 @@
+'use strict'
+
+const crypto = require('crypto')
+
+class TokenError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'TokenError'
+    }
+}
+
+// minimal HS256 JSON Web Tokens, enough for access/refresh credentials without another dependency
+module.exports = class Token {
+    static TokenError = TokenError
+
+    static sign(payload, secret, { expiresIn, issuer } = {}) {
+        const now = Math.floor(Date.now() / 1000)
+        const claims = {
+            ...payload,
+            iat: now,
+            jti: payload.jti || crypto.randomUUID(),
+        }
+
+        if (expiresIn) claims.exp = now + expiresIn
+        if (issuer) claims.iss = issuer
+
+        const header = this.#encode({ alg: 'HS256', typ: 'JWT' })
+        const body = this.#encode(claims)
+
+        return `${header}.${body}.${this.#signature(`${header}.${body}`, secret)}`
+    }
+
+    static verify(token, secret, { issuer, type } = {}) {
+        const parts = typeof token === 'string' ? token.split('.') : []
+
+        if (parts.length !== 3) {
+            throw new TokenError('malformed token')
+        }
+
+        const [header, body, signature] = parts
+        const expected = Buffer.from(this.#signature(`${header}.${body}`, secret))
+        const given = Buffer.from(signature)
+
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            throw new TokenError('invalid signature')
+        }
+
+        const { alg } = this.#decode(header)
+        const claims = this.#decode(body)
+        const now = Math.floor(Date.now() / 1000)
+
+        if (alg !== 'HS256') throw new TokenError(`unsupported algorithm ${alg}`)
+        if (claims.exp !== undefined && claims.exp <= now) throw new TokenError('token expired')
+        if (claims.nbf !== undefined && claims.nbf > now) throw new TokenError('token not active yet')
+        if (issuer && claims.iss !== issuer) throw new TokenError('invalid issuer')
+        if (type && claims.type !== type) throw new TokenError(`expected a ${type} token`)
+
+        return claims
+    }
+
+    static #signature(data, secret) {
+        return crypto.createHmac('sha256', secret).update(data).digest('base64url')
+    }
+
+    static #encode(value) {
+        return Buffer.from(JSON.stringify(value)).toString('base64url')
+    }
+
+    static #decode(value) {
+        try {
+            return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'))
+        } catch {
+            throw new TokenError('malformed token')
+        }
+    }
+}
@@ -0,0 +1,16 @@
+'use strict'
+
+const Transport = require('./transport')
+
+module.exports = class ConsoleTransport extends Transport {
+    constructor(options = {}) {
+        super({ name: 'console', colors: options.format !== 'json', ...options })
+    }
+
+    // warnings and errors go to stderr, so container runtimes can tell them apart
+    write(line, entry) {
+        if (entry.level === 'error' || entry.level === 'warning') return console.error(line)
+
+        console.log(line)
+    }
+}
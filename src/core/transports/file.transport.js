@@ -0,0 +1,208 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Transport = require('./transport')
+const config = require('@app/config')
+
+const DAY = 24 * 60 * 60 * 1000
+
+// an open log file: lines are queued in memory and written in chunks, one write in flight at a time
+class LogFile {
+    constructor(file) {
+        this.file = file
+        this.fd = fs.openSync(file, 'a')
+        this.size = fs.fstatSync(this.fd).size // the only stat, sizes are tracked from here on
+        this.queue = []
+        this.bytes = 0
+        this.writing = false
+        this.retired = false
+        this.waiters = []
+    }
+
+    push(line) {
+        const bytes = Buffer.byteLength(line)
+
+        this.queue.push(line)
+        this.bytes += bytes
+        this.size += bytes
+    }
+
+    take() {
+        const chunk = this.queue.join('')
+
+        this.queue = []
+        this.bytes = 0
+        return chunk
+    }
+
+    get idle() {
+        return !this.writing && this.queue.length === 0
+    }
+}
+
+// Writes to <dir>/<date>/<level>.log plus all.log (except access lines), or to <dir>/<date>/<filename> when a filename is
+// given. A new directory is started every day and files are rotated once they exceed maxSize.
+// Lines are buffered and written asynchronously, at the latest after flushInterval milliseconds.
+module.exports = class FileTransport extends Transport {
+    static MAX_SIZE = 10 * 1024 * 1024 // 10MB
+
+    #files = new Map()
+    #retired = new Set()
+    #timer = null
+    #dayEnds = 0
+    #today = null
+
+    constructor({ dir = config.app.log_dir, filename = null, maxSize = FileTransport.MAX_SIZE, bufferSize = 64 * 1024, flushInterval = 1000, ...options } = {}) {
+        super({ name: 'file', ...options })
+        this.dir = path.resolve(process.cwd(), dir)
+        this.filename = filename
+        this.maxSize = maxSize
+        this.bufferSize = bufferSize
+        this.flushInterval = flushInterval
+    }
+
+    write(line, entry) {
+        if (this.filename) {
+            return this.append(this.filename, line)
+        }
+
+        this.append(`${entry.level}.log`, line)
+        if (!['all', 'access'].includes(entry.level)) this.append('all.log', line)
+    }
+
+    append(filename, line) {
+        try {
+            let file = this.#open(filename)
+
+            if (file.size > 0 && file.size + Buffer.byteLength(line) + 1 > this.maxSize) {
+                file = this.#rotate(filename, file)
+            }
+
+            file.push(line + '\n')
+
+            if (file.bytes >= this.bufferSize) {
+                this.#drain(file)
+            } else if (!this.#timer) {
+                this.#timer = setTimeout(() => this.#drainAll(), this.flushInterval)
+                this.#timer.unref()
+            }
+        } catch (err) {
+            console.error('Failed to write log:', err.message)
+        }
+    }
+
+    todayDir() {
+        if (Date.now() >= this.#dayEnds) {
+            const now = new Date()
+
+            this.#today = path.join(this.dir, now.toISOString().slice(0, 10))
+            this.#dayEnds = Math.floor(now.getTime() / DAY) * DAY + DAY
+
+            // files of the previous day are finished in the background
+            for (const file of this.#files.values()) this.#retire(file)
+            this.#files.clear()
+        }
+
+        if (!fs.existsSync(this.#today)) fs.mkdirSync(this.#today, { recursive: true })
+        return this.#today
+    }
+
+    async flush() {
+        this.#drainAll()
+
+        const files = [...this.#files.values(), ...this.#retired]
+        await Promise.all(files.map((file) => (file.idle ? null : new Promise((resolve) => file.waiters.push(resolve)))))
+    }
+
+    // for process "exit" handlers, where asynchronous writes never complete
+    flushSync() {
+        clearTimeout(this.#timer)
+        this.#timer = null
+
+        for (const file of [...this.#files.values(), ...this.#retired]) {
+            if (file.queue.length === 0) continue
+
+            try {
+                fs.writeSync(file.fd, file.take())
+            } catch (err) {
+                console.error('Failed to write log:', err.message)
+            }
+        }
+    }
+
+    async close() {
+        await this.flush()
+
+        for (const file of this.#files.values()) this.#retire(file)
+        this.#files.clear()
+    }
+
+    #open(filename) {
+        if (Date.now() >= this.#dayEnds) this.todayDir()
+
+        let file = this.#files.get(filename)
+
+        if (!file) {
+            file = new LogFile(path.join(this.todayDir(), filename))
+            this.#files.set(filename, file)
+        }
+
+        return file
+    }
+
+    // the open descriptor keeps writing to the renamed file until its queue is empty
+    #rotate(filename, file) {
+        const { name, ext } = path.parse(filename)
+        let target = path.join(path.dirname(file.file), `${name}.${Date.now()}${ext}`)
+
+        for (let i = 1; fs.existsSync(target); i++) {
+            target = path.join(path.dirname(file.file), `${name}.${Date.now()}-${i}${ext}`)
+        }
+
+        fs.renameSync(file.file, target)
+        this.#retire(file)
+        this.#files.delete(filename)
+
+        return this.#open(filename)
+    }
+
+    #retire(file) {
+        file.retired = true
+        this.#retired.add(file)
+        this.#drain(file)
+    }
+
+    #drainAll() {
+        clearTimeout(this.#timer)
+        this.#timer = null
+
+        for (const file of this.#files.values()) this.#drain(file)
+    }
+
+    #drain(file) {
+        if (file.writing) return
+
+        if (file.queue.length === 0) {
+            return this.#settle(file)
+        }
+
+        file.writing = true
+
+        fs.write(file.fd, file.take(), (err) => {
+            file.writing = false
+            if (err) console.error('Failed to write log:', err.message)
+
+            this.#drain(file)
+        })
+    }
+
+    #settle(file) {
+        for (const resolve of file.waiters.splice(0)) resolve()
+
+        if (file.retired) {
+            this.#retired.delete(file)
+            fs.close(file.fd, () => {})
+        }
+    }
+}
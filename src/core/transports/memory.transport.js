@@ -0,0 +1,26 @@
+'use strict'
+
+const Transport = require('./transport')
+
+// keeps entries in memory instead of writing them, used by the test environment to capture logs
+module.exports = class MemoryTransport extends Transport {
+    constructor({ limit = 1000, ...options } = {}) {
+        super({ name: 'memory', ...options })
+        this.limit = limit
+        this.entries = []
+    }
+
+    write(line, entry) {
+        this.entries.push({ ...entry, line })
+        if (this.entries.length > this.limit) this.entries.shift()
+    }
+
+    // entries of a level and/or layer, e.g. find({ level: 'error', layer: 'http' })
+    find({ level, layer } = {}) {
+        return this.entries.filter((entry) => (!level || entry.level === level) && (!layer || entry.layer === layer))
+    }
+
+    clear() {
+        this.entries = []
+    }
+}
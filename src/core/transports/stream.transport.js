@@ -0,0 +1,15 @@
+'use strict'
+
+const Transport = require('./transport')
+
+// writes one line per entry to any writable stream, stdout by default
+module.exports = class StreamTransport extends Transport {
+    constructor({ stream = process.stdout, ...options } = {}) {
+        super({ name: 'stream', ...options })
+        this.stream = stream
+    }
+
+    write(line) {
+        this.stream.write(line + '\n')
+    }
+}
@@ -0,0 +1,22 @@
+'use strict'
+
+// Base class for log transports. Logger renders every entry in the transport's format and calls
+// write(line, entry). Custom sinks may also be plain objects with the same properties.
+module.exports = class Transport {
+    constructor({ name = 'custom', level = 'debug', format = null, colors = false } = {}) {
+        this.name = name
+        this.level = level
+        this.format = format // null uses config.logging.format
+        this.colors = colors
+    }
+
+    write(line, entry) {
+        throw new Error(`${this.constructor.name} must implement write(line, entry)`)
+    }
+
+    async flush() {}
+
+    async close() {
+        await this.flush()
+    }
+}
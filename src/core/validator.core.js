@@ -0,0 +1,86 @@
+'use strict'
+
+const { z } = require('zod')
+const { ValidationException } = require('@core/exception.core')
+
+module.exports = class Validator {
+    static SOURCES = ['params', 'query', 'body', 'headers', 'cookies']
+
+    // headers and cookies keep the keys the schema does not mention
+    static MERGED_SOURCES = ['headers', 'cookies']
+
+    static validate(schemas) {
+        const compiled = Object.fromEntries(Object.entries(schemas).map(([source, schema]) => [source, this.schema(schema)]))
+
+        for (const source of Object.keys(compiled)) {
+            if (!this.SOURCES.includes(source)) {
+                throw new TypeError(`cannot validate unknown request source "${source}"`)
+            }
+        }
+
+        const middleware = async (req, res, next) => {
+            const errors = []
+            const validated = {}
+
+            for (const source of Validator.SOURCES) {
+                if (!compiled[source]) continue
+
+                const result = await Validator.check(compiled[source], req[source] ?? {}, source)
+
+                if (result.success) {
+                    validated[source] = result.data
+                } else {
+                    errors.push(...result.errors)
+                }
+            }
+
+            if (errors.length > 0) {
+                return next(new ValidationException(errors))
+            }
+
+            for (const [source, value] of Object.entries(validated)) {
+                Validator.#assign(req, source, Validator.MERGED_SOURCES.includes(source) ? { ...req[source], ...value } : value)
+            }
+
+            req.validated = { ...req.validated, ...validated }
+            next()
+        }
+
+        Object.defineProperty(middleware, 'name', { value: `validate:${Object.keys(compiled).join(',')}` })
+        return middleware
+    }
+
+    static async check(schema, value, location) {
+        const result = await this.schema(schema).safeParseAsync(value)
+
+        if (result.success) {
+            return { success: true, data: result.data, errors: [] }
+        }
+
+        return { success: false, data: null, errors: this.issues(result.error, location) }
+    }
+
+    static issues(error, location) {
+        return error.issues.map((issue) => ({
+            location,
+            field: issue.path.join('.'),
+            message: issue.message,
+            code: issue.code,
+        }))
+    }
+
+    // accepts a Zod schema or a plain shape such as { email: z.email() }
+    static schema(schema) {
+        return schema instanceof z.ZodType ? schema : z.object(schema)
+    }
+
+    // Express 5 exposes req.query as a getter, so it has to be shadowed on the instance
+    static #assign(req, source, value) {
+        Object.defineProperty(req, source, {
+            value,
+            writable: true,
+            configurable: true,
+            enumerable: true,
+        })
+    }
+}
@@ -0,0 +1,138 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const Testing = require('@core/testing.core')
+const Migration = require('@core/migration.core')
+const Auth = require('@core/auth.core')
+const Store = require('@core/store.core')
+const config = require('@app/config')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+Testing.factory('User', () => ({ password: 'secret-password' }))
+
+const login = (user, password = 'secret-password') => Testing.request().post('/api/auth/login').send({ login: user.username, password })
+
+test('login returns a token pair and the user without its password', async () => {
+    const user = await Testing.create('User')
+    const { body } = await login(user).expect(200)
+
+    assert.strictEqual(body.data.token_type, 'Bearer')
+    assert.ok(body.data.access_token)
+    assert.ok(body.data.refresh_token)
+    assert.strictEqual(body.data.user.id, user.id)
+    assert.strictEqual(body.data.user.email, user.email)
+    assert.ok(!('password' in body.data.user))
+    assert.ok(body.data.user.last_login)
+
+    await Testing.request().get('/api/auth/me').auth(body.data.access_token).expect(200)
+})
+
+test('login accepts the email address', async () => {
+    const user = await Testing.create('User')
+    await Testing.request().post('/api/auth/login').send({ login: user.email, password: 'secret-password' }).expect(200)
+})
+
+test('login refuses a wrong password, an unknown account and an inactive user', async () => {
+    const user = await Testing.create('User')
+    const inactive = await Testing.create('User', { is_active: false })
+
+    const { body } = await login(user, 'wrong-password').expect(401)
+    assert.strictEqual(body.message, 'Invalid credentials')
+
+    await login({ username: 'nobody' }).expect(401)
+    await login(inactive).expect(401)
+})
+
+test('refresh rotates the refresh token', async () => {
+    const user = await Testing.create('User')
+    const { body } = await login(user).expect(200)
+    const refresh = (token) => Testing.request().post('/api/auth/refresh').send({ refresh_token: token })
+
+    const rotated = await refresh(body.data.refresh_token).expect(200)
+    assert.notStrictEqual(rotated.body.data.refresh_token, body.data.refresh_token)
+    await Testing.request().get('/api/auth/me').auth(rotated.body.data.access_token).expect(200)
+
+    // single use
+    await refresh(body.data.refresh_token).expect(401)
+    await refresh(rotated.body.data.refresh_token).expect(200)
+
+    // an access token is not a refresh token
+    await refresh(body.data.access_token).expect(401)
+})
+
+test('concurrent refreshes with the same token: only one succeeds', async () => {
+    // a shared store answers after a round trip, which is when two refreshes can interleave
+    const latency = () => new Promise((resolve) => setTimeout(resolve, 10))
+    const RemoteStore = class extends Store {
+        async get(key) {
+            const value = await super.get(key)
+            await latency()
+            return value
+        }
+
+        async delete(key) {
+            await super.delete(key)
+            await latency()
+        }
+
+        async take(key) {
+            const value = await super.take(key)
+            await latency()
+            return value
+        }
+    }
+
+    const store = Auth.store
+    Auth.useStore(new RemoteStore())
+
+    try {
+        const user = await Testing.create('User')
+        const { body } = await login(user).expect(200)
+        const refresh = () => Testing.request().post('/api/auth/refresh').send({ refresh_token: body.data.refresh_token })
+
+        const statuses = (await Promise.all([refresh(), refresh(), refresh()])).map((res) => res.status)
+        assert.deepStrictEqual(statuses.sort(), [200, 401, 401])
+    } finally {
+        Auth.useStore(store)
+    }
+})
+
+test('logout revokes the access token and the refresh token', async () => {
+    const user = await Testing.create('User')
+    const { body } = await login(user).expect(200)
+    const { access_token, refresh_token } = body.data
+
+    await Testing.request().post('/api/auth/logout').auth(access_token).send({ refresh_token }).expect(200)
+
+    await Testing.request().get('/api/auth/me').auth(access_token).expect(401)
+    await Testing.request().post('/api/auth/refresh').send({ refresh_token }).expect(401)
+})
+
+test('logout needs an authenticated user', async () => {
+    await Testing.request().post('/api/auth/logout').send({}).expect(401)
+})
+
+test('the admin seeder needs ADMIN_PASSWORD in production', async () => {
+    const admin = (password) => Testing.request().post('/api/auth/login').send({ login: 'admin', password })
+    const { production } = config.app
+    config.app.production = true
+
+    try {
+        await assert.rejects(Migration.seed('user'), /ADMIN_PASSWORD is not set/)
+        await admin('password').expect(401)
+
+        process.env.ADMIN_PASSWORD = 'a-long-admin-password'
+        await Migration.seed('user')
+        await admin('a-long-admin-password').expect(200)
+    } finally {
+        config.app.production = production
+        delete process.env.ADMIN_PASSWORD
+    }
+})
@@ -0,0 +1,85 @@
+'use strict'
+
+require('module-alias/register')
+require('@core/testing.core')
+
+const { test } = require('node:test')
+const assert = require('node:assert')
+const Config = require('@core/config.core')
+const config = require('@app/config')
+
+// validates the loaded configuration with `overrides` patched in, then puts the original values back
+const validate = (overrides) => {
+    const original = structuredClone(Config.values)
+
+    try {
+        Config.patch(overrides)
+        Config.validate()
+        return []
+    } catch (err) {
+        assert.strictEqual(err.name, 'ConfigError')
+        return err.issues.map((issue) => issue.path.join('.'))
+    } finally {
+        Config.patch(original)
+    }
+}
+
+test('variables are converted to the type of their default', () => {
+    assert.strictEqual(Config.coerce(' 8080 ', 3000), 8080)
+    assert.strictEqual(Config.coerce('yes', false), true)
+    assert.strictEqual(Config.coerce('off', true), false)
+    assert.deepStrictEqual(Config.coerce('a, b,,c', []), ['a', 'b', 'c'])
+
+    // left as is, for validation to report
+    assert.strictEqual(Config.coerce('abc', 3000), 'abc')
+    assert.strictEqual(Config.coerce('maybe', true), 'maybe')
+})
+
+test('.env files are parsed like a shell would', () => {
+    const values = Config.parseEnv(['# comment', 'export APP_NAME="Mini App"', 'DB_HOST = localhost # inline comment', "APP_KEY='a#b'", 'MULTI="a\\nb"', 'EMPTY=', 'not a variable'].join('\n'))
+
+    assert.deepStrictEqual(values, { APP_NAME: 'Mini App', DB_HOST: 'localhost', APP_KEY: 'a#b', MULTI: 'a\nb', EMPTY: '' })
+})
+
+test('environment overlays are merged deeply, arrays are replaced', () => {
+    const merged = Config.merge({ app: { name: 'app', port: 3000 }, origins: ['a', 'b'] }, { app: { port: 4000 }, origins: ['c'] })
+    assert.deepStrictEqual(merged, { app: { name: 'app', port: 4000 }, origins: ['c'] })
+})
+
+test('the test environment is loaded', () => {
+    assert.strictEqual(Config.environment, 'test')
+    assert.deepStrictEqual(config.logging.transports, [{ type: 'memory' }])
+    assert.deepStrictEqual(validate({}), [])
+})
+
+test('invalid values are all reported by path', () => {
+    assert.deepStrictEqual(validate({ app: { port: 'abc' }, database: { dialect: 'oracle9' } }).sort(), ['app.port', 'database.dialect'])
+    assert.deepStrictEqual(validate({ express: { cors: { origin: ['https://app.example.com/path'] } } }), ['express.cors.origin'])
+    assert.deepStrictEqual(validate({ app: { production: true }, auth: { secret: 'short' } }), ['auth.secret'])
+})
+
+test('console commands do not run on an invalid configuration', async () => {
+    const Console = require('@core/console.core')
+    const Lifecycle = require('@core/lifecycle.core')
+    const original = structuredClone(Config.values)
+    const write = process.stderr.write
+    let ran = false
+    let stderr = ''
+
+    Console.command('test:probe', 'Records that it ran', () => (ran = true))
+    Config.patch({ app: { port: 'abc' } })
+    process.stderr.write = (chunk) => (stderr += chunk)
+
+    try {
+        await Console.run(['test:probe'])
+
+        assert.strictEqual(ran, false)
+        assert.strictEqual(process.exitCode, Lifecycle.EXIT_CODES.config)
+        assert.match(stderr, /app\.port/)
+    } finally {
+        process.stderr.write = write
+        process.exitCode = undefined
+        Config.patch(original)
+        Console.commands.delete('test:probe')
+    }
+})
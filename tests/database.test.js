@@ -0,0 +1,150 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { ConnectionError, QueryTypes } = require('sequelize')
+const Testing = require('@core/testing.core')
+const Database = require('@core/database.core')
+const Migration = require('@core/migration.core')
+const config = require('@app/config')
+
+// a second in-memory connection, with a model and a migration of its own
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reporting-'))
+fs.mkdirSync(path.join(dir, 'models'))
+fs.mkdirSync(path.join(dir, 'migrations'))
+
+fs.writeFileSync(path.join(dir, 'models/report.model.js'), "module.exports = (sequelize, DataTypes) => sequelize.define('Report', { title: DataTypes.STRING }, { tableName: 'reports' })")
+fs.writeFileSync(
+    path.join(dir, 'migrations/20250101000000-create-reports-table.js'),
+    `
+module.exports = {
+    async up({ queryInterface, DataTypes, transaction }) {
+        await queryInterface.createTable('reports', {
+            id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+            title: DataTypes.STRING,
+            created_at: DataTypes.DATE,
+            updated_at: DataTypes.DATE,
+        }, { transaction })
+    },
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('reports', { transaction })
+    },
+}
+`,
+)
+
+const reporting = { dialect: 'sqlite', storage: ':memory:', models: path.join(dir, 'models'), migrations: { dir: path.join(dir, 'migrations') } }
+// a database that cannot be opened (its directory is a file), the application starts without it
+fs.writeFileSync(path.join(dir, 'archive'), '')
+// no migrations, like a read-only replica
+const replica = { dialect: 'sqlite', storage: ':memory:' }
+const archive = { dialect: 'sqlite', storage: path.join(dir, 'archive/archive.sqlite'), connect: { on_failure: 'degraded', delay: 60000 } }
+
+before(async () => {
+    await Testing.boot({ database: { connections: { reporting, replica, archive } } }, { migrate: false })
+    await Migration.migrate({ connection: 'reporting' })
+})
+after(async () => {
+    await Testing.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+const tables = async (connection) => (await Database.connection(connection).getQueryInterface().showAllTables()).sort()
+
+test('named connections have their own models', () => {
+    assert.notStrictEqual(Database.connection('reporting'), Database.sequelize)
+    assert.strictEqual(Database.connection(), Database.sequelize)
+
+    assert.deepStrictEqual(Object.keys(Database.getModels('reporting')), ['Report'])
+    assert.strictEqual(Database.getModel('Report').sequelize, Database.connection('reporting'))
+    assert.ok(!('Report' in Database.getModels()))
+})
+
+test('migrations and queries run on their connection', async () => {
+    assert.deepStrictEqual(await Migration.pending('reporting'), [])
+    assert.deepStrictEqual(await tables('reporting'), ['migrations', 'reports'])
+    assert.ok(!(await tables()).includes('reports'))
+
+    await Database.getModel('Report').create({ title: 'Monthly' })
+    const [{ count }] = await Database.query('SELECT COUNT(*) AS count FROM reports', { connection: 'reporting', type: QueryTypes.SELECT })
+    assert.strictEqual(count, 1)
+})
+
+test('named connections take the shared options of the default one', () => {
+    const options = Database.definitions().get('reporting')
+
+    assert.deepStrictEqual(options.define, config.database.define)
+    assert.deepStrictEqual(options.pool, config.database.pool)
+    assert.strictEqual(options.migrations.table, config.database.migrations.table)
+})
+
+test('unknown connections are refused', async () => {
+    assert.throws(() => Database.connection('nope'), /unknown database connection "nope"/)
+    await assert.rejects(Migration.pending('nope'), /unknown database connection "nope"/)
+})
+
+test('an unreachable connection with on_failure "degraded" does not fail the boot', () => {
+    assert.strictEqual(Database.state('archive'), 'reconnecting')
+    assert.strictEqual(Database.available('archive'), false)
+    assert.strictEqual(Database.available(), true)
+    assert.ok(Testing.logs.find({ level: 'warning', layer: 'database' }).some((entry) => entry.message === 'running degraded, unavailable connection(s): archive'))
+})
+
+test('Database.middleware() answers 503 with a Retry-After while its connection is down', async () => {
+    const run = (middleware) => new Promise((resolve) => middleware({}, {}, resolve))
+
+    const err = await run(Database.middleware('reporting', 'archive'))
+    assert.strictEqual(err.status, 503)
+    assert.ok(Number(err.headers['Retry-After']) > 1)
+
+    assert.strictEqual(await run(Database.middleware()), undefined)
+})
+
+test('backoff doubles the delay up to max_delay, less the jitter', () => {
+    const connect = { delay: 100, max_delay: 1000, jitter: 0 }
+
+    assert.deepStrictEqual(
+        [0, 1, 3, 10].map((attempt) => Database.backoff(attempt, connect)),
+        [100, 200, 800, 1000],
+    )
+
+    const delay = Database.backoff(10, { ...connect, jitter: 0.5 })
+    assert.ok(delay >= 500 && delay <= 1000)
+})
+
+test('reading the migrations state creates no table, migrate() does', async () => {
+    assert.deepStrictEqual(await Migration.pending('replica'), [])
+    assert.deepStrictEqual(await Migration.status('replica'), [])
+    assert.deepStrictEqual(await tables('replica'), [])
+
+    // the default connection was never migrated here
+    assert.deepStrictEqual(await Migration.pending(), ['20250101000000-create-users-table'])
+    assert.strictEqual((await Migration.status())[0].status, 'pending')
+    assert.ok(!(await tables()).includes('migrations'))
+
+    await Migration.migrate({ connection: Database.DEFAULT })
+    assert.ok((await tables()).includes('migrations'))
+    assert.deepStrictEqual(await tables('replica'), [])
+})
+
+test('connection errors name the connection they come from', async () => {
+    const { connectionManager } = Database.connection('reporting')
+    const getConnection = connectionManager.getConnection
+    connectionManager.getConnection = () => Promise.reject(new ConnectionError(new Error('server has gone away')))
+
+    try {
+        const err = await Database.query('SELECT 1', { connection: 'reporting' }).catch((err) => err)
+
+        assert.ok(Database.isConnectionError(err))
+        assert.strictEqual(Database.connectionOf(err), 'reporting')
+    } finally {
+        connectionManager.getConnection = getConnection
+    }
+
+    assert.strictEqual(Database.connectionOf(new ConnectionError(new Error('unknown origin'))), Database.DEFAULT)
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const Testing = require('@core/testing.core')
+const AccessLog = require('@core/access.core')
+const Database = require('@core/database.core')
+const Handler = require('@core/handler.core')
+const { InternalServerErrorException } = require('@core/exception.core')
+const config = require('@app/config')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+Testing.factory('User', () => ({ password: 'secret-password' }))
+
+test('unknown API routes answer a JSON 404', async () => {
+    const { body } = await Testing.request().get('/api/nothing').expect(404).expect('content-type', /json/)
+    assert.deepStrictEqual(body, { success: false, message: 'Cannot GET /api/nothing' })
+})
+
+test('unknown pages render the error view', async () => {
+    const res = await Testing.request().get('/nothing').set('accept', 'text/html').expect(404).expect('content-type', /html/)
+    assert.match(res.text, /Cannot GET \/nothing/)
+
+    await Testing.request().get('/nothing').set('accept', 'application/json').expect(404).expect('content-type', /json/)
+})
+
+test('responses carry the security headers and a request id', async () => {
+    const res = await Testing.request().get('/api/auth/csrf').expect(200).expect('x-content-type-options', 'nosniff').expect('x-request-id', /.+/)
+    assert.match(res.headers['content-security-policy'], /default-src 'self'/)
+
+    await Testing.request().get('/api/auth/csrf').set('x-request-id', 'abc-123').expect('x-request-id', 'abc-123')
+})
+
+test('X-Forwarded-For is ignored unless a proxy is trusted', async () => {
+    await Testing.request().get('/api/auth/csrf').set('x-forwarded-for', '203.0.113.9').set('x-request-id', 'forwarded').expect(200)
+
+    const [entry] = Testing.logs.entries.filter((entry) => entry.context?.request_id === 'forwarded')
+    assert.match(entry.context.ip, /127\.0\.0\.1$/)
+})
+
+test('access log skip prefixes match whole path segments', () => {
+    const skipped = (path) => AccessLog.skip({ path }, {})
+    config.express.access_log.skip = ['/api/auth/', '/ping']
+
+    try {
+        assert.strictEqual(skipped('/static'), true)
+        assert.strictEqual(skipped('/static/app.css'), true)
+        assert.strictEqual(skipped('/statistics'), false)
+        assert.strictEqual(skipped('/api/auth/csrf'), true)
+        assert.strictEqual(skipped('/api/authors'), false)
+        assert.strictEqual(skipped('/ping'), true)
+        assert.strictEqual(skipped('/pingdom'), false)
+    } finally {
+        config.express.access_log.skip = []
+    }
+})
+
+test('CORS answers the allowed origins only', async () => {
+    const allowed = 'http://localhost:3025'
+
+    await Testing.request().options('/api/auth/login').set({ origin: allowed, 'access-control-request-method': 'POST' }).expect(200).expect('access-control-allow-origin', allowed)
+
+    const res = await Testing.request().options('/api/auth/login').set({ origin: 'https://evil.example', 'access-control-request-method': 'POST' })
+    assert.strictEqual(res.headers['access-control-allow-origin'], undefined)
+})
+
+test('session requests need a CSRF token, bearer requests do not', async () => {
+    const user = await Testing.create('User')
+    const client = Testing.request()
+
+    await client.post('/api/auth/login').send({ login: user.username, password: 'secret-password' }).expect(200)
+
+    const { body } = await client.post('/api/auth/logout').send({}).expect(403)
+    assert.strictEqual(body.message, 'Invalid CSRF token')
+    await client.post('/api/auth/logout').set('x-csrf-token', 'forged.token').send({}).expect(403)
+
+    await Testing.request().post('/api/auth/logout').auth(user).send({}).expect(200)
+})
+
+test('database outage 503s are not reported as errors, one per request', () => {
+    const req = { method: 'GET', originalUrl: '/api/presence', ip: '127.0.0.1', get: () => undefined }
+    const errors = () => Testing.logs.find({ level: 'error', layer: 'http' }).length
+    const before = errors()
+
+    Handler.report(Database.unavailable(), req)
+    assert.strictEqual(errors(), before)
+    assert.ok(Testing.logs.find({ level: 'debug', layer: 'http' }).some((entry) => entry.message === '503 Database is unavailable'))
+
+    Handler.report(new InternalServerErrorException('boom'), req)
+    assert.strictEqual(errors(), before + 1)
+})
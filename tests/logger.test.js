@@ -0,0 +1,75 @@
+'use strict'
+
+require('module-alias/register')
+require('@core/testing.core')
+
+const { test, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { spawnSync } = require('child_process')
+const path = require('path')
+const Config = require('@core/config.core')
+const Logger = require('@core/logger.core')
+const config = require('@app/config')
+
+const logging = structuredClone(config.logging)
+const memory = Logger.transports.find((transport) => transport.name === 'memory')
+
+afterEach(() => {
+    config.logging.level = logging.level
+    config.logging.layers = structuredClone(logging.layers)
+    config.logging.sampling = structuredClone(logging.sampling)
+    memory.clear()
+})
+
+test('the global level and the layer levels filter entries', () => {
+    Config.patch({ logging: { level: 'warning', layers: { sequelize: 'error', http: 'debug' } } })
+
+    assert.strictEqual(Logger.enabled('info', 'boot'), false)
+    assert.strictEqual(Logger.enabled('warning', 'boot'), true)
+    assert.strictEqual(Logger.enabled('warning', 'sequelize'), false)
+    assert.strictEqual(Logger.enabled('debug', 'http'), true)
+    assert.strictEqual(Logger.enabled('access', 'http'), true)
+})
+
+test('unknown levels fall back to the default one instead of dropping everything', () => {
+    Config.patch({ logging: { level: 'verbose', layers: { http: 'loud' } } })
+
+    assert.strictEqual(Logger.enabled('error', 'config'), true)
+    assert.strictEqual(Logger.enabled(Logger.DEFAULT_LEVEL, 'boot'), true)
+    assert.strictEqual(Logger.enabled('debug', 'http'), true)
+
+    Logger.error('config', new Error('still reported'))
+    assert.strictEqual(memory.find({ level: 'error', layer: 'config' }).length, 1)
+})
+
+test('sampling keeps warnings and errors', () => {
+    Config.patch({ logging: { level: 'debug', sampling: { noisy: { rate: 0 } } } })
+
+    Logger.info('noisy', 'dropped')
+    Logger.warning('noisy', 'kept')
+    Logger.error('noisy', new Error('kept'))
+
+    assert.deepStrictEqual(
+        memory.find({ layer: 'noisy' }).map((entry) => entry.level),
+        ['warning', 'error'],
+    )
+})
+
+test('secrets in the context are redacted', () => {
+    const redacted = Logger.redact({ user: 'ada', password: 'secret', nested: { authorization: 'Bearer x' } })
+
+    assert.strictEqual(redacted.user, 'ada')
+    assert.strictEqual(redacted.password, '[REDACTED]')
+    assert.strictEqual(redacted.nested.authorization, '[REDACTED]')
+})
+
+test('an invalid configuration is printed to stderr even when the log level is what is invalid', () => {
+    const result = spawnSync(process.execPath, [path.join(process.cwd(), 'src/index.js')], {
+        env: { ...process.env, APP_ENV: 'test', LOG_LEVEL: 'verbose' },
+        encoding: 'utf8',
+        timeout: 30000,
+    })
+
+    assert.strictEqual(result.status, 2)
+    assert.match(result.stderr, /invalid configuration\n {2}- logging\.level:/)
+})
@@ -0,0 +1,85 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Testing = require('@core/testing.core')
+const Database = require('@core/database.core')
+const Migration = require('@core/migration.core')
+
+// two migrations of their own, the users table of the application is not needed here
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'))
+const table = (name) => `
+module.exports = {
+    async up({ queryInterface, DataTypes, transaction }) {
+        await queryInterface.createTable('${name}', { id: { type: DataTypes.INTEGER, primaryKey: true } }, { transaction })
+    },
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('${name}', { transaction })
+    },
+}
+`
+
+fs.writeFileSync(path.join(dir, '20250101000000-create-posts-table.js'), table('posts'))
+fs.writeFileSync(path.join(dir, '20250102000000-create-tags-table.js'), table('tags'))
+
+before(() => Testing.boot({ database: { migrations: { dir } } }, { migrate: false }))
+after(async () => {
+    await Testing.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+})
+
+const tables = async () => (await Database.sequelize.getQueryInterface().showAllTables()).filter((name) => name !== 'migrations').sort()
+const statuses = async () => (await Migration.status()).map(({ name, status, batch }) => [name, status, batch])
+
+test('migrations start pending', async () => {
+    assert.deepStrictEqual(await Migration.pending(), ['20250101000000-create-posts-table', '20250102000000-create-tags-table'])
+    assert.deepStrictEqual(await tables(), [])
+})
+
+test('migrate applies the pending migrations in one batch', async () => {
+    assert.deepStrictEqual(await Migration.migrate(), ['20250101000000-create-posts-table', '20250102000000-create-tags-table'])
+    assert.deepStrictEqual(await tables(), ['posts', 'tags'])
+    assert.deepStrictEqual(await statuses(), [
+        ['20250101000000-create-posts-table', 'applied', 1],
+        ['20250102000000-create-tags-table', 'applied', 1],
+    ])
+
+    assert.deepStrictEqual(await Migration.migrate(), [])
+})
+
+test('rollback reverts the last batch', async () => {
+    fs.writeFileSync(path.join(dir, '20250103000000-create-labels-table.js'), table('labels'))
+
+    assert.deepStrictEqual(await Migration.migrate(), ['20250103000000-create-labels-table'])
+    assert.deepStrictEqual((await statuses()).at(-1), ['20250103000000-create-labels-table', 'applied', 2])
+
+    assert.deepStrictEqual(await Migration.rollback(), ['20250103000000-create-labels-table'])
+    assert.deepStrictEqual(await tables(), ['posts', 'tags'])
+    assert.deepStrictEqual(await Migration.pending(), ['20250103000000-create-labels-table'])
+})
+
+test('rollback --step reverts that many migrations, newest first', async () => {
+    assert.deepStrictEqual(await Migration.rollback({ step: 2 }), ['20250102000000-create-tags-table', '20250101000000-create-posts-table'])
+    assert.deepStrictEqual(await tables(), [])
+    assert.deepStrictEqual(await Migration.rollback(), [])
+})
+
+test('a migration recorded without its file is reported as missing', async () => {
+    await Migration.migrate()
+    fs.rmSync(path.join(dir, '20250103000000-create-labels-table.js'))
+
+    assert.deepStrictEqual((await statuses()).at(-1), ['20250103000000-create-labels-table', 'missing', 1])
+    await assert.rejects(Migration.rollback(), /migration file 20250103000000-create-labels-table\.js not found/)
+})
+
+test('a failing migration is not recorded', async () => {
+    fs.writeFileSync(path.join(dir, '20250104000000-broken.js'), "module.exports = { async up() { throw new Error('broken migration') } }")
+
+    await assert.rejects(Migration.migrate(), /broken migration/)
+    assert.ok((await Migration.pending()).includes('20250104000000-broken'))
+})
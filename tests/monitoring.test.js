@@ -0,0 +1,73 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const Testing = require('@core/testing.core')
+const Config = require('@core/config.core')
+const Health = require('@core/health.core')
+const { ForbiddenException } = require('@core/exception.core')
+
+before(() => Testing.boot({ monitoring: { token: 'monitoring-token' } }))
+after(() => Testing.close())
+
+test('/health answers while the process is alive', async () => {
+    const { body } = await Testing.request().get('/health').expect(200).expect('cache-control', 'no-store')
+
+    assert.strictEqual(body.status, 'ok')
+    assert.strictEqual(body.pid, process.pid)
+})
+
+test('/ready runs every readiness check', async () => {
+    const { body } = await Testing.request().get('/ready').expect(200)
+
+    assert.strictEqual(body.status, 'ok')
+    assert.deepStrictEqual(Object.keys(body.checks).sort(), ['database', 'lifecycle', 'server', 'socket'])
+})
+
+test('a failing check makes /ready answer 503', async () => {
+    Health.check('cache', () => {
+        throw new Error('cache is down')
+    })
+
+    try {
+        const { body } = await Testing.request().get('/ready').expect(503)
+
+        assert.strictEqual(body.status, 'fail')
+        assert.strictEqual(body.checks.cache.status, 'fail')
+        assert.strictEqual(body.checks.cache.error, 'cache is down')
+        assert.strictEqual(body.checks.database.status, 'ok')
+    } finally {
+        Health.checks.delete('cache')
+    }
+})
+
+test('/metrics needs the monitoring token', async () => {
+    await Testing.request().get('/metrics').expect(401)
+    await Testing.request().get('/metrics').set('authorization', 'Bearer wrong').expect(401)
+
+    await Testing.request().get('/api/auth/csrf').expect(200)
+
+    const res = await Testing.request()
+        .get('/metrics')
+        .set('authorization', 'Bearer monitoring-token')
+        .expect(200)
+        .expect('content-type', /text\/plain/)
+    assert.match(res.text, /# TYPE http_requests_total counter/)
+    assert.match(res.text, /http_requests_total\{method="GET",route="\/api\/auth\/csrf",status="200"\} \d+/)
+})
+
+test('without a token nor an allowlist, /metrics only answers loopback clients', async () => {
+    Config.patch({ monitoring: { token: '' } })
+    const guard = Health.protect('metrics')
+    Config.patch({ monitoring: { token: 'monitoring-token' } })
+
+    const check = (ip) => new Promise((resolve) => guard({ ip, get: () => undefined }, {}, resolve))
+
+    assert.strictEqual(await check('127.0.0.1'), undefined)
+    assert.strictEqual(await check('::ffff:127.0.0.1'), undefined)
+    assert.strictEqual(await check('::1'), undefined)
+    assert.ok((await check('203.0.113.7')) instanceof ForbiddenException)
+    assert.ok(Testing.logs.find({ level: 'warning', layer: 'health' }).some((entry) => /only answers loopback clients/.test(entry.message)))
+})
@@ -0,0 +1,114 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const Testing = require('@core/testing.core')
+const RateLimit = require('@core/ratelimit.core')
+
+before(() => Testing.boot({ rate_limit: { enabled: true, limiters: { login: { limit: 3 } } } }))
+after(() => Testing.close())
+beforeEach(async () => {
+    RateLimit.useStore(new RateLimit.MemoryRateLimitStore())
+    await Testing.begin()
+})
+afterEach(() => Testing.rollback())
+
+Testing.factory('User', () => ({ password: 'secret-password' }))
+
+const login = (user, password) => Testing.request().post('/api/auth/login').send({ login: user.username, password })
+
+test('failed logins answer 429 once the limit is reached', async () => {
+    const user = await Testing.create('User')
+
+    for (let i = 0; i < 3; i++) await login(user, 'wrong-password').expect(401)
+
+    const res = await login(user, 'wrong-password').expect(429).expect('ratelimit-limit', '3').expect('ratelimit-remaining', '0')
+    assert.strictEqual(res.body.message, 'Too many login attempts, please try again later')
+    assert.ok(Number(res.headers['retry-after']) > 0)
+
+    // the right password too, until the window ends
+    await login(user, 'secret-password').expect(429)
+})
+
+test('a forged X-Forwarded-For does not reset the counter', async () => {
+    const user = await Testing.create('User')
+    const attempt = (i) => login(user, 'wrong-password').set('x-forwarded-for', `198.51.100.${i}`)
+
+    for (let i = 0; i < 3; i++) await attempt(i).expect(401)
+    await attempt(3).expect(429)
+})
+
+test('successful logins are refunded', async () => {
+    const user = await Testing.create('User')
+
+    for (let i = 0; i < 5; i++) await login(user, 'secret-password').expect(200)
+
+    await login(user, 'wrong-password').expect(401)
+    await login(user, 'wrong-password').expect(401)
+    await login(user, 'secret-password').expect(200)
+    await login(user, 'wrong-password').expect(401)
+    await login(user, 'wrong-password').expect(429)
+})
+
+test('API responses carry the rate limit headers', async () => {
+    const res = await Testing.request().get('/api/auth/csrf').expect(200).expect('ratelimit-policy', '300;w=60')
+    assert.ok(Number(res.headers['ratelimit-remaining']) < 300)
+})
+
+test('fixed window: hits are counted until the window ends, a refund gives one back', async () => {
+    const limiter = { algorithm: 'fixed-window', limit: 2, window: 60 * 1000 }
+
+    assert.strictEqual((await RateLimit.hit(limiter, 'key')).remaining, 1)
+    assert.strictEqual((await RateLimit.hit(limiter, 'key')).allowed, true)
+
+    const denied = await RateLimit.hit(limiter, 'key')
+    assert.strictEqual(denied.allowed, false)
+    assert.ok(denied.retryAfter > 0 && denied.retryAfter <= 60)
+
+    await RateLimit.refund(limiter, 'key')
+    await RateLimit.refund(limiter, 'key')
+    assert.strictEqual((await RateLimit.hit(limiter, 'key')).allowed, true)
+
+    // other keys and other inline limiters have their own counters
+    assert.strictEqual((await RateLimit.hit(limiter, 'other')).remaining, 1)
+    assert.strictEqual((await RateLimit.hit({ ...limiter }, 'key')).remaining, 1)
+})
+
+test('token bucket: a burst, then the refill rate', async () => {
+    const limiter = { algorithm: 'token-bucket', limit: 60, window: 60 * 1000, burst: 2 }
+
+    assert.strictEqual((await RateLimit.hit(limiter, 'key')).allowed, true)
+    assert.strictEqual((await RateLimit.hit(limiter, 'key')).allowed, true)
+
+    const denied = await RateLimit.hit(limiter, 'key')
+    assert.strictEqual(denied.allowed, false)
+    assert.strictEqual(denied.limit, 2)
+    assert.strictEqual(denied.retryAfter, 1)
+
+    await RateLimit.refund(limiter, 'key')
+    assert.strictEqual((await RateLimit.hit(limiter, 'key')).allowed, true)
+})
+
+test('token bucket headers: the burst, over the time it takes to refill', async () => {
+    const limiter = { algorithm: 'token-bucket', limit: 60, window: 60 * 1000, burst: 10 }
+    const headers = {}
+    const res = { set: (values) => Object.assign(headers, values) }
+
+    await new Promise((resolve) => RateLimit.middleware(limiter)({ ip: '203.0.113.7' }, res, resolve))
+
+    assert.strictEqual(headers['RateLimit-Limit'], '10')
+    assert.strictEqual(headers['RateLimit-Remaining'], '9')
+    assert.strictEqual(headers['RateLimit-Policy'], '10;w=10')
+    assert.strictEqual(headers['RateLimit-Reset'], '1')
+})
+
+test('keys: the client address, or the user when there is one', () => {
+    const req = { ip: '203.0.113.7', user: { id: 42 } }
+
+    assert.strictEqual(RateLimit.key({ key: 'ip' }, req), 'ip:203.0.113.7')
+    assert.strictEqual(RateLimit.key({ key: 'user' }, req), 'user:42')
+    assert.strictEqual(RateLimit.key({ key: 'user' }, { ip: '203.0.113.7', user: null }), 'ip:203.0.113.7')
+    assert.strictEqual(RateLimit.key({ key: (source) => source.user.id * 2 }, req), '84')
+})
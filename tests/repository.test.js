@@ -0,0 +1,146 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const qs = require('qs')
+const { Op } = require('sequelize')
+const Testing = require('@core/testing.core')
+const Database = require('@core/database.core')
+const Repository = require('@core/repository.core')
+const { ValidationException } = require('@core/exception.core')
+const UserRepository = require('@app/repositories/user.repository')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+Testing.factory('User', () => ({ password: 'secret-password' }))
+
+// the query string as Express parses it
+const parser = () => new Repository.QueryParser(Database.getModel('User'), UserRepository.definition())
+const parse = (query) => parser().parse(qs.parse(query))
+const request = (query) => ({ query: qs.parse(query), originalUrl: `/api/users?${query}` })
+const users = async (count) => {
+    for (let i = 1; i <= count; i++) await Testing.create('User', { username: `user0${i}` })
+}
+const issues = (query) => {
+    try {
+        parse(query)
+    } catch (err) {
+        assert.ok(err instanceof ValidationException)
+        return err.errors.map(({ field, message }) => `${field}: ${message}`)
+    }
+
+    assert.fail(`${query} was accepted`)
+}
+
+test('filters become conditions on the declared columns, converted to their type', () => {
+    const { where } = parse('filter[is_active]=false&filter[username][in]=a,b&filter[created_at][gte]=2025-01-01&filter[full_name][null]=false')
+
+    assert.deepStrictEqual(where.is_active, { [Op.eq]: false })
+    assert.deepStrictEqual(where.username, { [Op.in]: ['a', 'b'] })
+    assert.deepStrictEqual(where.createdAt, { [Op.gte]: new Date('2025-01-01') })
+    assert.deepStrictEqual(where.full_name, { [Op.not]: null })
+    assert.strictEqual(parse('filter[email][like]=example').where.email[Op.like].val, "'%example%' ESCAPE '!'")
+})
+
+test('like matches "%", "_" and the escape character literally', async () => {
+    for (const username of ['a_c', 'abc', 'a%c', 'a!c', 'ac']) await Testing.create('User', { username })
+
+    const usernames = async (value) => (await UserRepository.paginate(request(`filter[username][like]=${encodeURIComponent(value)}&sort=username`))).data.map((user) => user.username)
+
+    assert.deepStrictEqual(await usernames('_'), ['a_c'])
+    assert.deepStrictEqual(await usernames('%'), ['a%c'])
+    assert.deepStrictEqual(await usernames('!'), ['a!c'])
+    assert.deepStrictEqual(await usernames('a'), ['a!c', 'a%c', 'a_c', 'abc', 'ac'])
+})
+
+test('sort lists columns, descending with "-", and ends with the primary key', () => {
+    assert.deepStrictEqual(parse('sort=-created_at,username').order, [
+        ['createdAt', 'DESC'],
+        ['username', 'ASC'],
+        ['id', 'ASC'],
+    ])
+
+    // the model's default sort
+    assert.deepStrictEqual(parse('').order, [
+        ['createdAt', 'DESC'],
+        ['id', 'DESC'],
+    ])
+})
+
+test('page size and number, with the configured defaults', () => {
+    assert.deepStrictEqual(parse('page[number]=3&page[size]=5').page, { size: 5, number: 3, after: undefined, before: undefined })
+    assert.strictEqual(parse('').page.size, 20)
+})
+
+test('every problem of a query is reported at once', () => {
+    assert.deepStrictEqual(issues('filter[password]=x&filter[is_active]=maybe&filter[username][gt]=a&sort=email&page[size]=500&page[foo]=1'), ['filter.password: password cannot be filtered', 'filter.is_active: must be true or false', 'filter.username.gt: operator "gt" is not allowed on username', 'sort: email cannot be sorted', 'page.foo: page[foo] is not supported with offset pagination', 'page.size: must be between 1 and 100'])
+
+    assert.deepStrictEqual(issues('filter=x&page[number]=0'), ['filter: filter must be an object, e.g. filter[name]=value', 'page.number: must be at least 1'])
+    assert.deepStrictEqual(issues('filter[created_at][gte]=yesterday'), ['filter.created_at.gte: must be a date'])
+})
+
+test('nullable columns cannot be sorted with cursor pagination', () => {
+    const definition = { ...UserRepository.definition(), sortable: ['id', 'last_login'] }
+    const order = (pagination) => new Repository.QueryParser(Database.getModel('User'), { ...definition, pagination }).parse({ sort: '-last_login' }).order
+
+    assert.deepStrictEqual(order('offset'), [
+        ['last_login', 'DESC'],
+        ['id', 'DESC'],
+    ])
+    assert.throws(
+        () => order('cursor'),
+        (err) => err instanceof ValidationException && err.errors[0].message === 'last_login is nullable and cannot be sorted with cursor pagination',
+    )
+})
+
+test('offset pages count the rows and link to their neighbours', async () => {
+    await users(5)
+
+    const page = await UserRepository.paginate(request('sort=username&page[number]=2&page[size]=2'))
+
+    assert.deepStrictEqual(
+        page.data.map((user) => user.username),
+        ['user03', 'user04'],
+    )
+    assert.deepStrictEqual(page.meta, { page: { number: 2, size: 2, total: 5, pages: 3 } })
+    assert.strictEqual(page.links.next, '/api/users?sort=username&page[number]=3&page[size]=2')
+    assert.strictEqual(page.links.prev, '/api/users?sort=username&page[number]=1&page[size]=2')
+    assert.strictEqual(page.links.last, '/api/users?sort=username&page[number]=3&page[size]=2')
+})
+
+test('filters and the where option are combined', async () => {
+    await users(4)
+    await Testing.create('User', { is_active: false })
+
+    const page = await UserRepository.paginate(request('filter[is_active]=true&sort=-username'), { where: { username: { [Op.ne]: 'user01' } } })
+
+    assert.deepStrictEqual(
+        page.data.map((user) => user.is_active),
+        [true, true, true],
+    )
+    assert.strictEqual(page.meta.page.total, 3)
+})
+
+test('cursor pages walk forwards and backwards', async () => {
+    await users(5)
+
+    const usernames = (page) => page.data.map((user) => user.username)
+    const first = await UserRepository.paginate(request('sort=username&page[size]=2'), { pagination: 'cursor' })
+    const second = await UserRepository.paginate(request(`sort=username&page[size]=2&page[after]=${first.meta.page.next_cursor}`), { pagination: 'cursor' })
+    const third = await UserRepository.paginate(request(`sort=username&page[size]=2&page[after]=${second.meta.page.next_cursor}`), { pagination: 'cursor' })
+    const back = await UserRepository.paginate(request(`sort=username&page[size]=2&page[before]=${third.meta.page.prev_cursor}`), { pagination: 'cursor' })
+
+    assert.deepStrictEqual(usernames(first), ['user01', 'user02'])
+    assert.deepStrictEqual(usernames(second), ['user03', 'user04'])
+    assert.deepStrictEqual(usernames(third), ['user05'])
+    assert.deepStrictEqual(usernames(back), ['user03', 'user04'])
+
+    assert.strictEqual(first.meta.page.prev_cursor, null)
+    assert.strictEqual(third.meta.page.next_cursor, null)
+    await assert.rejects(UserRepository.paginate(request('sort=username&page[after]=garbage'), { pagination: 'cursor' }), ValidationException)
+})
@@ -0,0 +1,88 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const Testing = require('@core/testing.core')
+const Resource = require('@core/resource.core')
+const UserResource = require('@app/http/resources/user.resource')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+class TagResource extends Resource {
+    static toJSON(tag) {
+        return tag.name
+    }
+}
+
+class PostResourceV2 extends Resource {
+    static toJSON(post) {
+        return { id: post.id, headline: post.title }
+    }
+}
+
+class PostResource extends Resource {
+    static versions = { v2: PostResourceV2 }
+
+    static toJSON(post, { viewer, version }) {
+        return {
+            id: post.id,
+            title: post.title,
+            slug: post.title.toLowerCase().replace(/\s+/g, '-'),
+            draft: Resource.when(viewer?.role === 'admin', post.draft),
+            ...Resource.mergeWhen(viewer?.id === post.author_id, () => ({ views: post.views })),
+            tags: Resource.whenLoaded(post, 'tags', TagResource),
+            version,
+        }
+    }
+}
+
+const post = { id: 1, title: 'Hello World', draft: true, author_id: 7, views: 3 }
+
+test('hidden attributes never leave the model', async () => {
+    const user = await Testing.create('User')
+
+    assert.ok(user.password)
+    assert.ok(!('password' in user.toJSON()))
+    assert.ok(!JSON.stringify(user).includes(user.password))
+})
+
+test('computed fields, and conditional ones left out for other viewers', () => {
+    assert.deepStrictEqual(PostResource.make(post, { user: null }), { id: 1, title: 'Hello World', slug: 'hello-world', version: null })
+    assert.deepStrictEqual(PostResource.make(post, { user: { id: 7, role: 'admin' } }), { id: 1, title: 'Hello World', slug: 'hello-world', draft: true, views: 3, version: null })
+})
+
+test('relations are rendered only when loaded', () => {
+    assert.deepStrictEqual(PostResource.make({ ...post, tags: [{ name: 'a' }, { name: 'b' }] }, {}).tags, ['a', 'b'])
+    assert.deepStrictEqual(PostResource.make({ ...post, tags: [] }, {}).tags, [])
+    assert.ok(!('tags' in PostResource.make(post, {})))
+})
+
+test('the API version picks the resource', () => {
+    assert.deepStrictEqual(PostResource.make(post, { apiVersion: 'v2' }), { id: 1, headline: 'Hello World' })
+    assert.strictEqual(PostResource.make(post, { apiVersion: 'v1' }).version, 'v1')
+    assert.deepStrictEqual(PostResource.make(post, {}, { version: 'v2' }), { id: 1, headline: 'Hello World' })
+})
+
+test('collections keep the pagination envelope', () => {
+    const page = { success: true, data: [post, post], meta: { page: { number: 1 } }, links: { next: null } }
+    const rendered = PostResource.collection(page, {})
+
+    assert.deepStrictEqual(rendered.meta, page.meta)
+    assert.deepStrictEqual(rendered.links, page.links)
+    assert.strictEqual(rendered.data[0].slug, 'hello-world')
+    assert.deepStrictEqual(PostResource.collection([post], {})[0].id, 1)
+    assert.strictEqual(PostResource.make(null, {}), null)
+})
+
+test('users see their own private fields only', async () => {
+    const [user, other] = await Testing.createMany('User', 2)
+
+    assert.strictEqual(UserResource.make(user, { user }).email, user.email)
+    assert.ok(!('email' in UserResource.make(user, { user: other })))
+    assert.strictEqual(UserResource.make(user, { user: null }, { viewer: user }).email, user.email)
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const Routes = require('@refkinscallv/express-routing')
+const Testing = require('@core/testing.core')
+const Controller = require('@core/controller.core')
+const Express = require('@core/express.core')
+const Routing = require('@core/routing.core')
+const { NotFoundException } = require('@core/exception.core')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+const authenticate = (req, res, next) => next()
+const validate = (req, res, next) => next()
+
+class PostController extends Controller {
+    static model = 'User'
+    static middleware = { '*': [authenticate], store: [validate] }
+
+    static index() {}
+    static store() {}
+    static show() {}
+    static destroy() {}
+}
+
+// the routes registered by callback, with the names of their handler and middleware
+const register = (callback) => {
+    const routes = []
+    const groups = []
+    const methods = ['get', 'post', 'put', 'patch', 'delete']
+    const original = Object.fromEntries([...methods, 'middleware'].map((method) => [method, Routes[method]]))
+
+    Routes.middleware = (middleware, group) => {
+        groups.push(middleware)
+        group()
+        groups.pop()
+    }
+
+    for (const method of methods) {
+        Routes[method] = (path, handler) => routes.push([method, path, handler.name, groups.flat().map((middleware) => middleware.name)])
+    }
+
+    try {
+        callback()
+    } finally {
+        Object.assign(Routes, original)
+    }
+
+    return routes
+}
+
+test('controllers are discovered by class name', () => {
+    const { AuthController } = Routing.controllers
+
+    assert.strictEqual(typeof AuthController.login, 'function')
+    assert.strictEqual(Routing.controller('Auth'), AuthController)
+    assert.strictEqual(Routing.controller('AuthController'), AuthController)
+    assert.throws(() => Routing.controller('Nothing'), /unknown controller "Nothing"/)
+})
+
+test('resource routes cover the actions of the controller, with their middleware', () => {
+    assert.deepStrictEqual(
+        register(() => Routing.resource('posts', PostController, { except: ['destroy'] })),
+        [
+            ['get', 'posts', 'PostController.index', ['authenticate']],
+            ['post', 'posts', 'PostController.store', ['authenticate', 'validate']],
+            ['get', 'posts/:post', 'PostController.show', ['authenticate', 'bind:post']],
+        ],
+    )
+
+    assert.deepStrictEqual(
+        register(() => Routing.resource('admin/blog-posts', PostController, { only: ['destroy'], param: 'id' })),
+        [['delete', 'admin/blog-posts/:id', 'PostController.destroy', ['authenticate', 'bind:id']]],
+    )
+})
+
+test('route parameters are bound to their record', async () => {
+    const user = await Testing.create('User')
+    const bind = (param, key, value) =>
+        new Promise((resolve) => {
+            const req = { params: { [param]: value } }
+            Routing.bind(param, 'User', key)(req, {}, (err) => resolve(err ?? req.models[param]))
+        })
+
+    assert.strictEqual((await bind('user', undefined, String(user.id))).id, user.id)
+    assert.strictEqual((await bind('member', 'username', user.username)).id, user.id)
+    assert.ok((await bind('user', undefined, '999')) instanceof NotFoundException)
+    assert.ok((await bind('user', undefined, 'abc')) instanceof NotFoundException)
+})
+
+test('route:list names the framework middleware', () => {
+    const route = (method, path) => Express.routes().find((route) => route.method === method && route.path === path)
+
+    assert.deepStrictEqual(route('POST', '/api/auth/login').middleware, ['ratelimit:api', 'database:default', 'ratelimit:login', 'validate:body'])
+    assert.deepStrictEqual(route('GET', '/api/presence/:id').middleware, ['ratelimit:api', 'database:default', 'auth', 'validate:params'])
+})
@@ -0,0 +1,80 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const Testing = require('@core/testing.core')
+const Presence = require('@core/presence.core')
+const Cluster = require('@core/cluster.core')
+
+before(() => Testing.boot({ socket: { presence: { offline_delay: 50 } } }))
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+test('namespaces with auth refuse guests and invalid tokens', async () => {
+    await assert.rejects(Testing.socket('/user-status'), /unauthorized/)
+    await assert.rejects(Testing.socket('/user-status', { token: 'not-a-token' }), /unauthorized/)
+})
+
+// first, ids of rolled back users come back and their sockets may still be going offline
+test('presence: online with the first connection, offline after the delay once the last one closes', async () => {
+    const [user, other] = await Testing.createMany('User', 2)
+    const watcher = await Testing.socket('/user-status', { user: other })
+    assert.deepStrictEqual(await Testing.waitFor(watcher, 'online_offline'), { user_id: other.id, status: true })
+
+    const first = await Testing.socket('/user-status', { user })
+    assert.deepStrictEqual(await Testing.waitFor(watcher, 'online_offline'), { user_id: user.id, status: true })
+
+    const second = await Testing.socket('/user-status', { user })
+    first.close()
+    second.close()
+
+    // still online during the delay, a reload does not flicker
+    assert.strictEqual(await Presence.isOnline(user.id), true)
+
+    assert.deepStrictEqual(await Testing.waitFor(watcher, 'online_offline'), { user_id: user.id, status: false })
+    assert.strictEqual(await Presence.isOnline(user.id), false)
+
+    watcher.close()
+})
+
+test('connecting sends the online list', async () => {
+    const user = await Testing.create('User')
+    const socket = await Testing.socket('/user-status', { user })
+    const list = await Testing.waitFor(socket, 'online_list')
+
+    assert.ok(list.includes(String(user.id)))
+    socket.close()
+})
+
+test('events are validated and acknowledged', async () => {
+    const user = await Testing.create('User')
+    const socket = await Testing.socket('/user-status', { user })
+
+    assert.deepStrictEqual(await socket.emitWithAck('online_offline', { status: true }), { success: true, data: null })
+
+    const invalid = await socket.emitWithAck('online_offline', { status: 'yes' })
+    assert.strictEqual(invalid.success, false)
+    assert.strictEqual(invalid.errors[0].field, 'status')
+
+    socket.close()
+})
+
+test('presence warns under cluster while its store is the in-memory one', () => {
+    const descriptor = Object.getOwnPropertyDescriptor(Cluster, 'isWorker')
+    Object.defineProperty(Cluster, 'isWorker', { get: () => true, configurable: true })
+
+    try {
+        Presence.init()
+        assert.match(Testing.logs.find({ level: 'warning', layer: 'presence' })[0].message, /per process/)
+
+        Presence.useStore({ add() {}, remove() {}, count() {}, users() {} })
+        Presence.init()
+        assert.strictEqual(Testing.logs.find({ level: 'warning', layer: 'presence' }).length, 1)
+    } finally {
+        Object.defineProperty(Cluster, 'isWorker', descriptor)
+        Presence.useStore(new Presence.MemoryPresenceStore())
+    }
+})
@@ -0,0 +1,115 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const Testing = require('@core/testing.core')
+const Database = require('@core/database.core')
+const Lifecycle = require('@core/lifecycle.core')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+Testing.factory('User', () => ({ password: 'secret-password' }))
+
+const login = (client, user) => client.post('/api/auth/login').send({ login: user.username, password: 'secret-password' }).expect(200)
+
+test('boot serves the application on an ephemeral port', async () => {
+    assert.match(Testing.url, /^http:\/\/127\.0\.0\.1:\d+$/)
+    assert.strictEqual(Lifecycle.state, 'ready')
+    assert.strictEqual(Database.state(), 'connected')
+
+    await Testing.request().get('/health').expect(200)
+    await assert.rejects(Testing.boot(), /already booted/)
+})
+
+test('logs are captured in memory', () => {
+    assert.ok(Testing.logs.find({ layer: 'lifecycle' }).length > 0)
+    assert.ok(!fs.existsSync('logs/test'))
+})
+
+test('expect() fails on an unexpected status, header or callback', async () => {
+    const client = Testing.request()
+
+    await assert.rejects(client.get('/health').expect(404), { name: 'AssertionError', message: /GET \/health: expected 404, got 200/ })
+    await assert.rejects(client.get('/health').expect('content-type', /html/), { name: 'AssertionError', message: /unexpected content-type header/ })
+    await assert.rejects(client.get('/health').expect('x-missing', 'value'), { name: 'AssertionError' })
+    await assert.rejects(
+        client.get('/health').expect(() => assert.fail('callback failure')),
+        { message: 'callback failure' },
+    )
+
+    const res = await client.get('/health').expect(200).expect('content-type', /json/)
+    assert.strictEqual(typeof res.body, 'object')
+})
+
+test('a client keeps the cookies the application sets', async () => {
+    const user = await Testing.create('User')
+    const client = Testing.request()
+
+    await login(client, user)
+    assert.ok(client.cookies.has('session_id'))
+
+    await client.get('/api/auth/me').expect(200)
+    await Testing.request().get('/api/auth/me').expect(401)
+
+    const { body } = await client.get('/api/auth/csrf').expect(200)
+    await client.post('/api/auth/logout').set('x-csrf-token', body.data.token).send({}).expect(200)
+
+    assert.ok(!client.cookies.has('session_id'))
+    await client.get('/api/auth/me').expect(401)
+})
+
+test('factories fill the required columns with unique values', async () => {
+    const first = await Testing.make('User')
+    const second = await Testing.make('User', { full_name: 'Second' })
+
+    assert.match(first.username, /^username-\d+$/)
+    assert.match(first.email, /^email\d+@example\.test$/)
+    assert.notStrictEqual(first.username, second.username)
+    assert.notStrictEqual(first.email, second.email)
+
+    // nullable columns and columns with a default are left to the database
+    assert.strictEqual(first.full_name, undefined)
+    assert.strictEqual(second.full_name, 'Second')
+    assert.strictEqual(first.isNewRecord, true)
+
+    const users = await Testing.createMany('User', 2)
+    assert.strictEqual(users.length, 2)
+    assert.ok(await users[0].verifyPassword('secret-password'))
+})
+
+test('rollback: records created by a test', async () => {
+    await Testing.createMany('User', 2)
+    await Database.transaction(() => Testing.create('User'))
+
+    // a failing application transaction only rolls back its own savepoint
+    await assert.rejects(
+        Database.transaction(async () => {
+            await Testing.create('User')
+            throw new Error('boom')
+        }),
+        /boom/,
+    )
+
+    assert.strictEqual(await Database.getModel('User').count(), 3)
+})
+
+test('rollback: are gone in the next one', async () => {
+    assert.strictEqual(await Database.getModel('User').count(), 0)
+})
+
+test('begin() refuses a second transaction', async () => {
+    await assert.rejects(Testing.begin(), /already open/)
+})
+
+test('close() shuts the application down', async () => {
+    await Testing.close()
+
+    assert.strictEqual(Lifecycle.state, 'stopped')
+    await assert.rejects(fetch(`${Testing.url}/health`))
+})
@@ -0,0 +1,104 @@
+'use strict'
+
+require('module-alias/register')
+
+const { test, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert')
+const { z } = require('zod')
+const Testing = require('@core/testing.core')
+const Validator = require('@core/validator.core')
+const { ValidationException } = require('@core/exception.core')
+
+before(() => Testing.boot())
+after(() => Testing.close())
+beforeEach(() => Testing.begin())
+afterEach(() => Testing.rollback())
+
+Testing.factory('User', () => ({ password: 'secret-password' }))
+
+// runs a Validator middleware, resolves to what it passed to next()
+const run = (middleware, req) => new Promise((resolve) => middleware(req, {}, resolve)).then((err) => err ?? null)
+
+test('a failing body answers 422 with one issue per field', async () => {
+    const { body } = await Testing.request().post('/api/auth/login').send({ login: '   ' }).expect(422).expect('content-type', /json/)
+
+    assert.strictEqual(body.success, false)
+    assert.strictEqual(body.message, 'Validation failed')
+    assert.deepStrictEqual(
+        body.errors.map(({ location, field, code }) => ({ location, field, code })),
+        [
+            { location: 'body', field: 'login', code: 'too_small' },
+            { location: 'body', field: 'password', code: 'invalid_type' },
+        ],
+    )
+    assert.ok(body.errors.every((error) => typeof error.message === 'string'))
+})
+
+test('route parameters are validated and converted', async () => {
+    const user = await Testing.create('User')
+
+    for (const id of ['abc', '0', '1.5']) {
+        const { body } = await Testing.request().get(`/api/presence/${id}`).auth(user).expect(422)
+        assert.deepStrictEqual(
+            body.errors.map(({ location, field }) => ({ location, field })),
+            [{ location: 'params', field: 'id' }],
+        )
+    }
+
+    const { body } = await Testing.request().get(`/api/presence/${user.id}`).auth(user).expect(200)
+    assert.deepStrictEqual(body.data, { user_id: user.id, online: false })
+})
+
+test('a body that is not an object is one issue without a field', async () => {
+    const { body } = await Testing.request().post('/api/auth/refresh').set('content-type', 'application/json').send('[1]').expect(422)
+
+    assert.deepStrictEqual(
+        body.errors.map(({ location, field }) => ({ location, field })),
+        [{ location: 'body', field: '' }],
+    )
+})
+
+test('issues of every source are collected in one exception', async () => {
+    const middleware = Validator.validate({
+        params: { id: z.coerce.number().int() },
+        query: { page: z.coerce.number().min(1) },
+        headers: { 'x-tenant': z.string() },
+    })
+    const err = await run(middleware, { params: { id: 'abc' }, query: { page: '0' }, headers: {} })
+
+    assert.ok(err instanceof ValidationException)
+    assert.strictEqual(err.status, 422)
+    assert.deepStrictEqual(
+        err.errors.map(({ location, field }) => `${location}.${field}`),
+        ['params.id', 'query.page', 'headers.x-tenant'],
+    )
+})
+
+test('parsed values replace the raw ones', async () => {
+    const middleware = Validator.validate({
+        query: { page: z.coerce.number().default(1), sort: z.string().optional() },
+        body: z.object({ name: z.string().trim() }),
+        headers: { 'x-count': z.coerce.number() },
+    })
+    const req = { query: { page: '3', extra: 'dropped' }, body: { name: '  Ada  ', admin: true }, headers: { 'x-count': '2', host: 'localhost' } }
+
+    assert.strictEqual(await run(middleware, req), null)
+    assert.deepStrictEqual(req.query, { page: 3 })
+    assert.deepStrictEqual(req.body, { name: 'Ada' })
+
+    // headers and cookies keep what the schema does not mention
+    assert.deepStrictEqual(req.headers, { 'x-count': 2, host: 'localhost' })
+    assert.deepStrictEqual(req.validated.query, { page: 3 })
+})
+
+test('async refinements are awaited', async () => {
+    const middleware = Validator.validate({ body: { email: z.email().refine(async (email) => email !== 'taken@example.test', 'already taken') } })
+    const err = await run(middleware, { body: { email: 'taken@example.test' } })
+
+    assert.deepStrictEqual(err.errors, [{ location: 'body', field: 'email', message: 'already taken', code: 'custom' }])
+    assert.strictEqual(await run(middleware, { body: { email: 'free@example.test' } }), null)
+})
+
+test('an unknown source is refused when the route is declared', () => {
+    assert.throws(() => Validator.validate({ form: {} }), /unknown request source "form"/)
+})